@@ -45,6 +45,14 @@
  *     read: async (params) => JSON.stringify(await getUser(params.id))
  *   })
  *
+ *   // Register prompt templates
+ *   mcp.addPrompt({
+ *     name: 'review',
+ *     description: 'Review a piece of code',
+ *     arguments: [{ name: 'code', required: true }],
+ *     get: async ({ code }) => `Please review this code:\n\n${code}`
+ *   })
+ *
  *   // Then use with a transport (auto-selects correct implementation):
  *   import { createHttpTransport } from 'bare-mcp/http'
  *   await createHttpTransport(mcp, { port: 3000 })
@@ -67,6 +75,7 @@ export const ErrorCode = {
   INTERNAL_ERROR: -32603,    // Internal JSON-RPC error
 
   // MCP-specific errors (-32000 to -32099 reserved for implementation)
+  REQUEST_TIMEOUT: -32001,   // Server-to-client request timed out
   RESOURCE_NOT_FOUND: -32002 // Resource not found
 }
 
@@ -79,7 +88,7 @@ export const ErrorCode = {
  * throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing required field: name')
  *
  * @example
- * throw new MCPError(-32001, 'Rate limit exceeded', { retryAfter: 60 })
+ * throw new MCPError(-32010, 'Rate limit exceeded', { retryAfter: 60 })
  */
 export class MCPError extends Error {
   /**
@@ -127,6 +136,68 @@ export function errorToJsonRpc(err, id) {
   }
 }
 
+/**
+ * MCP protocol versions this library implements, newest first.
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05']
+
+/**
+ * Log levels (RFC 5424 syslog severities), lowest to highest.
+ */
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency']
+
+/**
+ * Task statuses after which a task never changes again.
+ */
+const TERMINAL_TASK_STATUSES = ['completed', 'failed', 'cancelled']
+
+/**
+ * Values for a tool's taskSupport (execution.taskSupport in tools/list).
+ */
+const TASK_SUPPORT = ['forbidden', 'optional', 'required']
+
+/**
+ * Top-level keys of a CallToolResult.
+ */
+const TOOL_RESULT_KEYS = ['content', 'structuredContent', 'isError', '_meta']
+
+/**
+ * _meta key that ties a message to the task it belongs to.
+ */
+const RELATED_TASK_META = 'io.modelcontextprotocol/related-task'
+
+/**
+ * Remove the _meta keys the library manages itself: progressToken and keys under
+ * MCP-reserved prefixes (any prefix with a "modelcontextprotocol" or "mcp" label,
+ * e.g. io.modelcontextprotocol/related-task).
+ * @param {object} [meta] - A _meta object from a definition, result or request
+ * @returns {object|null} The remaining keys, or null if none are left
+ */
+function stripReservedMeta(meta) {
+  if (!meta || typeof meta !== 'object') return null
+  const kept = {}
+  for (const [key, value] of Object.entries(meta)) {
+    if (key === 'progressToken') continue
+    const slash = key.indexOf('/')
+    if (slash !== -1 && key.slice(0, slash).split('.').some(label => label === 'modelcontextprotocol' || label === 'mcp')) continue
+    kept[key] = value
+  }
+  return Object.keys(kept).length > 0 ? kept : null
+}
+
+/**
+ * Check an icons option: an array of { src, mimeType?, sizes?, theme? }.
+ * @param {object[]} [icons] - Icons to check (undefined is fine)
+ * @param {string} owner - What the icons belong to (for error messages)
+ * @throws {Error} if malformed
+ */
+function checkIcons(icons, owner) {
+  if (icons === undefined || icons === null) return
+  if (!Array.isArray(icons) || !icons.every(icon => icon && typeof icon.src === 'string')) {
+    throw new Error(`${owner} icons must be an array of { src, mimeType?, sizes?, theme? }`)
+  }
+}
+
 // ============================================================================
 // Schema Validation
 // ============================================================================
@@ -261,6 +332,315 @@ export function validateOutput(schema, output) {
   }
 }
 
+// ============================================================================
+// Binary Content
+// ============================================================================
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Check for binary data: Uint8Array (including Node's Buffer) or ArrayBuffer.
+ */
+function isBinary(value) {
+  return value instanceof Uint8Array || value instanceof ArrayBuffer
+}
+
+/**
+ * Check whether a value is a resource content item rather than plain data:
+ * bytes, or an object with text or blob.
+ */
+function isContentItem(value) {
+  return isBinary(value) || (value !== null && typeof value === 'object' && ('text' in value || 'blob' in value))
+}
+
+/**
+ * Base64-encode bytes.
+ * Plain JS so it behaves the same on Node.js and Bare (no Buffer or btoa needed).
+ * @param {Uint8Array|ArrayBuffer} data - Bytes to encode
+ * @returns {string} Base64 string (with padding)
+ */
+function toBase64(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data
+  let out = ''
+  let i = 0
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2]
+    out += BASE64_ALPHABET[n >> 18] + BASE64_ALPHABET[(n >> 12) & 63] +
+      BASE64_ALPHABET[(n >> 6) & 63] + BASE64_ALPHABET[n & 63]
+  }
+  const remaining = bytes.length - i
+  if (remaining === 1) {
+    const n = bytes[i] << 16
+    out += BASE64_ALPHABET[n >> 18] + BASE64_ALPHABET[(n >> 12) & 63] + '=='
+  } else if (remaining === 2) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8)
+    out += BASE64_ALPHABET[n >> 18] + BASE64_ALPHABET[(n >> 12) & 63] + BASE64_ALPHABET[(n >> 6) & 63] + '='
+  }
+  return out
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex digits.
+ * Cheap change detection for watched resources; not for anything security-related.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+// ============================================================================
+// Filesystem Helpers
+// ============================================================================
+
+/**
+ * Content types by file extension for addDirectory().
+ */
+const MIME_TYPES = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  csv: 'text/csv',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  cjs: 'text/javascript',
+  ts: 'text/typescript',
+  json: 'application/json',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/vnd.microsoft.icon',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  tar: 'application/x-tar',
+  wasm: 'application/wasm',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  woff2: 'font/woff2'
+}
+
+/**
+ * Non-text/* types whose content is still text.
+ */
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/yaml', 'image/svg+xml']
+
+/**
+ * Lazily load lib/fs.js (node:fs or bare-fs), so the core has no filesystem
+ * dependency unless addDirectory() is used.
+ */
+let fsModule = null
+function loadFs() {
+  if (!fsModule) fsModule = import('./lib/fs.js')
+  return fsModule
+}
+
+/**
+ * Content type for a file name. Without a known extension, sniffs the bytes
+ * (if given): no NUL bytes in the first 8 KB means text/plain.
+ * @param {string} filename - File name or path
+ * @param {Uint8Array} [bytes] - File content
+ * @returns {string|undefined} Content type, or undefined when unknown and no bytes
+ */
+function mimeTypeFor(filename, bytes) {
+  const dot = filename.lastIndexOf('.')
+  const known = dot === -1 ? undefined : MIME_TYPES[filename.slice(dot + 1).toLowerCase()]
+  if (known || !bytes) return known
+  return bytes.subarray(0, 8192).includes(0) ? 'application/octet-stream' : 'text/plain'
+}
+
+/**
+ * Whether content of this type should be sent as text rather than blob.
+ */
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType)
+}
+
+/**
+ * Whether target is root itself or inside it.
+ * @param {object} path - node:path / bare-path
+ */
+function isWithin(path, root, target) {
+  const relative = path.relative(root, target)
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative))
+}
+
+// ============================================================================
+// Content Builders
+// ============================================================================
+
+/**
+ * Text content item for tool results and prompt messages.
+ * @param {string} text - The text
+ * @param {object} [annotations] - { audience, priority, lastModified }
+ */
+export function textContent(text, annotations) {
+  return { type: 'text', text, ...(annotations && { annotations }) }
+}
+
+/**
+ * Image content item.
+ * @param {Uint8Array|ArrayBuffer|string} data - Image bytes or base64 string
+ * @param {string} mimeType - e.g. 'image/png'
+ * @param {object} [annotations]
+ */
+export function imageContent(data, mimeType, annotations) {
+  return { type: 'image', data: isBinary(data) ? toBase64(data) : data, mimeType, ...(annotations && { annotations }) }
+}
+
+/**
+ * Audio content item.
+ * @param {Uint8Array|ArrayBuffer|string} data - Audio bytes or base64 string
+ * @param {string} mimeType - e.g. 'audio/wav'
+ * @param {object} [annotations]
+ */
+export function audioContent(data, mimeType, annotations) {
+  return { type: 'audio', data: isBinary(data) ? toBase64(data) : data, mimeType, ...(annotations && { annotations }) }
+}
+
+/**
+ * Resource link content item - points at a resource the client can read.
+ * @param {object} link
+ * @param {string} link.uri - Resource URI
+ * @param {string} link.name - Resource name
+ * @param {string} [link.title] - Human-readable title
+ * @param {string} [link.description] - Description
+ * @param {string} [link.mimeType] - Content type
+ * @param {number} [link.size] - Size in bytes
+ * @param {object} [annotations]
+ */
+export function resourceLink({ uri, name, title, description, mimeType, size }, annotations) {
+  return {
+    type: 'resource_link',
+    uri,
+    name,
+    ...(title && { title }),
+    ...(description && { description }),
+    ...(mimeType && { mimeType }),
+    ...(size !== undefined && { size }),
+    ...(annotations && { annotations })
+  }
+}
+
+/**
+ * Embedded resource content item - includes the resource contents inline.
+ * @param {object} resource - { uri, mimeType?, text } or { uri, mimeType?, blob } (blob may be bytes)
+ * @param {object} [annotations] - Defaults to resource.annotations (as returned by readResource)
+ */
+export function embeddedResource(resource, annotations = resource.annotations) {
+  const { uri, mimeType, text, blob } = resource
+  return {
+    type: 'resource',
+    resource: {
+      uri,
+      ...(mimeType && { mimeType }),
+      ...(blob !== undefined
+        ? { blob: isBinary(blob) ? toBase64(blob) : blob }
+        : { text })
+    },
+    ...(annotations && { annotations })
+  }
+}
+
+/**
+ * Check a content item against the spec shape for its type.
+ * @param {object} item - Content item
+ * @param {string} path - Location for error messages, e.g. 'content[0]'
+ * @throws {MCPError} INTERNAL_ERROR naming the malformed field
+ */
+function validateContentItem(item, path) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}: must be an object`)
+  }
+  const requireString = (field) => {
+    if (typeof item[field] !== 'string') {
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.${field}: must be string`)
+    }
+  }
+
+  switch (item.type) {
+    case 'text':
+      requireString('text')
+      break
+    case 'image':
+    case 'audio':
+      requireString('data')
+      requireString('mimeType')
+      break
+    case 'resource_link':
+      requireString('uri')
+      requireString('name')
+      break
+    case 'resource': {
+      const resource = item.resource
+      if (!resource || typeof resource !== 'object') {
+        throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.resource: must be an object`)
+      }
+      if (typeof resource.uri !== 'string') {
+        throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.resource.uri: must be string`)
+      }
+      if (typeof resource.text !== 'string' && typeof resource.blob !== 'string') {
+        throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.resource: must have text or blob string`)
+      }
+      break
+    }
+    default:
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.type: unknown content type ${JSON.stringify(item.type)}`)
+  }
+
+  if (item.annotations !== undefined && (typeof item.annotations !== 'object' || item.annotations === null)) {
+    throw new MCPError(ErrorCode.INTERNAL_ERROR, `${path}.annotations: must be an object`)
+  }
+}
+
+// ============================================================================
+// Cancellation
+// ============================================================================
+
+/**
+ * Create an AbortController.
+ * Uses the global one where available (Node.js, Bare with bare-abort-controller/global),
+ * otherwise a minimal stand-in with the same signal surface.
+ * @returns {{ signal: AbortSignal, abort: function }}
+ */
+function createAbortController() {
+  if (typeof AbortController === 'function') return new AbortController()
+
+  const listeners = new Set()
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener(type, listener) { if (type === 'abort') listeners.add(listener) },
+    removeEventListener(type, listener) { listeners.delete(listener) },
+    throwIfAborted() { if (signal.aborted) throw signal.reason }
+  }
+
+  return {
+    signal,
+    abort(reason = new Error('This operation was aborted')) {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason
+      const event = { type: 'abort', target: signal }
+      if (signal.onabort) signal.onabort(event)
+      for (const listener of listeners) listener(event)
+    }
+  }
+}
+
 // ============================================================================
 // MCP Server Factory
 // ============================================================================
@@ -271,24 +651,151 @@ export function validateOutput(schema, output) {
  * @param {object} options
  * @param {string} options.name - Server name (shown to clients)
  * @param {string} options.version - Server version
- * @param {string} [options.protocolVersion='2025-11-25'] - MCP protocol version
+ * @param {string} [options.title] - Human-readable server name for display
+ * @param {string} [options.instructions] - How to use this server; clients may add it to the model's system prompt
+ * @param {object[]} [options.icons] - Server icons: [{ src, mimeType?, sizes?, theme? }]
+ * @param {string} [options.websiteUrl] - Server homepage
+ * @param {string} [options.protocolVersion='2025-11-25'] - Preferred MCP protocol version (used when the client's is unsupported)
+ * @param {string[]} [options.supportedProtocolVersions] - Versions to accept from clients (default: SUPPORTED_PROTOCOL_VERSIONS)
+ * @param {number} [options.requestTimeout=60000] - Timeout (ms) for server-to-client requests
+ * @param {number} [options.pageSize=100] - Maximum items per page for list methods
+ * @param {boolean} [options.toolErrorsAsResults=false] - Report exceptions thrown by execute() as
+ *   { content, isError: true } results instead of JSON-RPC errors (per-tool errorsAsResults overrides)
+ * @param {number} [options.taskTtl=3600000] - How long (ms) finished task results are kept; also caps client-requested ttl
+ * @param {number} [options.taskPollInterval=1000] - Suggested tasks/get polling interval (ms) sent to clients
+ * @param {number} [options.listChangedDebounce=10] - Window (ms) in which registry changes are batched into one list_changed notification
  * @returns {MCPServer}
  */
 export function createMCPServer(options = {}) {
   const {
     name = 'mcp-server',
     version = '1.0.0',
-    protocolVersion = '2025-11-25'
+    title,
+    instructions,
+    icons,
+    websiteUrl,
+    protocolVersion = SUPPORTED_PROTOCOL_VERSIONS[0],
+    supportedProtocolVersions = SUPPORTED_PROTOCOL_VERSIONS,
+    requestTimeout = 60000,
+    pageSize = 100,
+    toolErrorsAsResults = false,
+    taskTtl = 60 * 60 * 1000,
+    taskPollInterval = 1000,
+    listChangedDebounce = 10
   } = options
 
+  checkIcons(icons, 'Server')
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error('Server pageSize must be a positive integer')
+  }
+
   const tools = new Map()
   const resources = new Map()       // uri -> resource definition
   const resourceTemplates = new Map() // uriTemplate -> template definition
   const templateRegexCache = new Map() // uriTemplate -> { regex, captures }
-  const subscriptions = new Map()   // uri -> Set of subscriber IDs
+  const prompts = new Map()         // name -> prompt definition
+  const subscriptions = new Map()   // uri or uriTemplate -> Set of subscriber IDs
+  const prefixSubscriptions = new Map() // URI prefix -> Set of subscriber IDs
+  const watchers = new Map()        // uri -> { definition, hash, checking, recheck, stop } for watched resources with subscribers
+  const sessions = new Map()        // session ID -> session state
+  const pendingRequests = new Map() // outgoing request ID -> { resolve, reject, timer, sessionId }
+  const listPositions = new WeakMap() // definition -> registration order (for pagination cursors)
+  const inFlight = new Map()        // session ID -> Map of request ID -> AbortController[]
+  const tasks = new Map()           // task ID -> { task, sessionId, controller, result, error, done, settle, timer }
+  const pendingListChanged = new Map() // notify function -> debounce timer
+  let listPosition = 0
+  let taskCounter = 0
+  let outgoingRequestId = 0
   let onActivity = () => {} // Activity callback (set by transport)
   let onNotification = () => {} // Notification callback (set by transport)
   let onClientNotification = null // Optional callback for client notifications
+  let onRequest = null // Outgoing request callback (set by transport)
+
+  // ========== REGISTRATION ==========
+
+  /**
+   * Store a definition in one of the registries.
+   * Replacing an existing key keeps its list position so pagination cursors stay valid.
+   */
+  function register(map, key, definition) {
+    const existing = map.get(key)
+    listPositions.set(definition, existing ? positionOf(existing) : ++listPosition)
+    map.set(key, definition)
+    return definition
+  }
+
+  /**
+   * Send a list_changed notification shortly, folding together all
+   * registry changes made within listChangedDebounce ms.
+   * Used for removals, enable/disable and replacing an existing key; plain
+   * additions stay quiet so startup registration sends nothing.
+   * @param {function} notifyListChanged - e.g. notifyToolListChanged
+   */
+  function scheduleListChanged(notifyListChanged) {
+    if (pendingListChanged.has(notifyListChanged)) return
+    const timer = setTimeout(() => {
+      pendingListChanged.delete(notifyListChanged)
+      notifyListChanged()
+    }, listChangedDebounce)
+    timer.unref?.()
+    pendingListChanged.set(notifyListChanged, timer)
+  }
+
+  /**
+   * Build the handle returned by add* calls.
+   *
+   * disable() takes the entry out of its registry, so lists, calls and reads stop
+   * seeing it; enable() puts it back in its old list position. Once the key has been
+   * registered again by another add* call, the old handle no longer affects it.
+   *
+   * @param {Map} map - Registry the definition lives in
+   * @param {string} key - Registry key
+   * @param {object} definition - The registered definition
+   * @param {function} unregister - removeTool / removeResource / removeResourceTemplate
+   * @param {function} notifyListChanged - list_changed notifier for this registry
+   * @returns {{ enable: function, disable: function, remove: function, enabled: boolean }}
+   */
+  function createHandle(map, key, definition, unregister, notifyListChanged) {
+    let disabled = false
+    const handle = {
+      get enabled() {
+        return map.get(key) === definition
+      },
+      enable() {
+        if (disabled && !map.has(key)) {
+          map.set(key, definition)
+          scheduleListChanged(notifyListChanged)
+          syncWatchers()
+        }
+        disabled = false
+        return handle
+      },
+      disable() {
+        if (map.get(key) === definition) {
+          unregister(key)
+          disabled = true
+        }
+        return handle
+      },
+      remove() {
+        if (map.get(key) === definition) unregister(key)
+        disabled = false
+        return handle
+      }
+    }
+    return handle
+  }
+
+  /**
+   * Get the list position of a definition.
+   * Entries put into the Maps directly get a position on first use.
+   */
+  function positionOf(definition) {
+    if (!listPositions.has(definition)) {
+      listPositions.set(definition, ++listPosition)
+    }
+    return listPositions.get(definition)
+  }
 
   // ========== TOOLS ==========
 
@@ -297,37 +804,66 @@ export function createMCPServer(options = {}) {
    *
    * @param {object} tool
    * @param {string} tool.name - Tool name (unique identifier)
+   * @param {string} [tool.title] - Optional human-readable title for display
    * @param {string} tool.description - Human-readable description
    * @param {object} [tool.inputSchema] - JSON Schema for parameters (type: 'object')
-   * @param {function} tool.execute - Async function (params) => result (string or content array)
+   * @param {function} tool.execute - Async function (params, ctx) => result (string or content array)
+   *   ctx is the per-request context (see createContext): sessionId, clientInfo, requestId,
+   *   signal, progress, notify, log, createMessage, elicit
    * @param {object} [tool.annotations] - Optional tool annotations (ToolAnnotations)
    * @param {string} [tool.annotations.title] - Human-readable title
    * @param {boolean} [tool.annotations.readOnlyHint] - If true, tool doesn't modify environment (default: false)
    * @param {boolean} [tool.annotations.destructiveHint] - If true, tool may destroy data (default: true)
    * @param {boolean} [tool.annotations.idempotentHint] - If true, repeated calls have no extra effect (default: false)
    * @param {boolean} [tool.annotations.openWorldHint] - If true, interacts with external systems (default: true)
+   * @param {boolean} [tool.errorsAsResults] - Override the server's toolErrorsAsResults for this tool
+   * @param {string} [tool.taskSupport='forbidden'] - Task-augmented execution: 'forbidden', 'optional' or 'required'
+   * @param {object[]} [tool.icons] - Icons for display: [{ src, mimeType?, sizes?, theme? }]
+   * @param {object} [tool._meta] - Extra metadata passed through in tools/list (reserved keys are dropped)
+   * @returns {object} Handle with enable(), disable() and remove()
    */
   function addTool(tool) {
     if (!tool.name || !tool.execute) {
       throw new Error('Tool must have name and execute function')
     }
-    tools.set(tool.name, {
+    if (tool.taskSupport && !TASK_SUPPORT.includes(tool.taskSupport)) {
+      throw new Error(`Tool taskSupport must be one of ${TASK_SUPPORT.join(', ')}`)
+    }
+    checkIcons(tool.icons, 'Tool')
+    const replaced = tools.has(tool.name)
+    const definition = register(tools, tool.name, {
       name: tool.name,
+      title: tool.title,
+      icons: tool.icons || null,
       description: tool.description || '',
       inputSchema: tool.inputSchema || { type: 'object', properties: {} },
       outputSchema: tool.outputSchema || null,
       execute: tool.execute,
-      annotations: tool.annotations || null
+      annotations: tool.annotations || null,
+      errorsAsResults: tool.errorsAsResults ?? null,
+      taskSupport: tool.taskSupport || 'forbidden',
+      _meta: stripReservedMeta(tool._meta)
     })
+    if (replaced) scheduleListChanged(notifyToolListChanged)
+    return createHandle(tools, tool.name, definition, removeTool, notifyToolListChanged)
+  }
+
+  /**
+   * Unregister a tool. Clients are sent tools/list_changed.
+   * @param {string} toolName - Tool name
+   * @returns {boolean} Whether the tool existed
+   */
+  function removeTool(toolName) {
+    if (!tools.delete(toolName)) return false
+    scheduleListChanged(notifyToolListChanged)
+    return true
   }
 
   /**
    * Register multiple tools at once.
    */
   function addTools(toolArray) {
-    for (const tool of toolArray) {
-      addTool(tool)
-    }
+    return toolArray.map(tool => addTool(tool))
   }
 
   // ========== RESOURCES ==========
@@ -340,40 +876,68 @@ export function createMCPServer(options = {}) {
    * @param {string} resource.name - Human-readable name
    * @param {string} [resource.title] - Optional human-readable title for display
    * @param {string} [resource.description] - Optional description
-   * @param {string} [resource.mimeType] - Content type (default: text/plain)
+   * @param {string} [resource.mimeType] - Content type (default: text/plain, or application/octet-stream for binary content)
    * @param {string} [resource.text] - Static text content
-   * @param {function} [resource.read] - Dynamic content: async () => string or { text, annotations }
+   * @param {Uint8Array|string} [resource.blob] - Static binary content (bytes or base64 string)
+   * @param {function} [resource.read] - Dynamic content: async (ctx) => string, Uint8Array, { text, annotations }, { blob, mimeType, annotations }, or an array of { uri, text | blob, mimeType }
    * @param {object} [resource.annotations] - Optional resource annotations (Annotations)
    * @param {string[]} [resource.annotations.audience] - Who content is for: ["user"], ["assistant"], or both
    * @param {number} [resource.annotations.priority] - Importance: 0.0 (optional) to 1.0 (required)
    * @param {string} [resource.annotations.lastModified] - ISO 8601 timestamp
+   * @param {object[]} [resource.icons] - Icons for display: [{ src, mimeType?, sizes?, theme? }]
+   * @param {object} [resource._meta] - Extra metadata passed through in resources/list (reserved keys are dropped)
+   * @param {number|object} [resource.watch] - Detect changes while the resource has subscribers:
+   *   an interval in ms (or { interval }) to re-read it, or { subscribe: (onChange) => unsubscribe }
+   *   for an event source. notifications/resources/updated is sent only when the content hash changes.
+   * @returns {object} Handle with enable(), disable() and remove()
    */
   function addResource(resource) {
     if (!resource.uri || !resource.name) {
       throw new Error('Resource must have uri and name')
     }
-    if (!resource.text && !resource.read) {
-      throw new Error('Resource must have either text or read function')
+    if (!resource.text && !resource.blob && !resource.read) {
+      throw new Error('Resource must have text, blob, or read function')
     }
-    resources.set(resource.uri, {
+    checkIcons(resource.icons, 'Resource')
+    const watch = normalizeWatch(resource.watch)
+    const replaced = resources.has(resource.uri)
+    const definition = register(resources, resource.uri, {
       uri: resource.uri,
       name: resource.name,
       title: resource.title,
       description: resource.description,
-      mimeType: resource.mimeType || 'text/plain',
+      mimeType: resource.mimeType || (resource.blob ? 'application/octet-stream' : 'text/plain'),
+      explicitMimeType: resource.mimeType || null,
       text: resource.text,
+      blob: resource.blob,
       read: resource.read,
-      annotations: resource.annotations || null
+      annotations: resource.annotations || null,
+      icons: resource.icons || null,
+      _meta: stripReservedMeta(resource._meta),
+      watch
     })
+    if (replaced) scheduleListChanged(notifyResourceListChanged)
+    syncWatchers()
+    return createHandle(resources, resource.uri, definition, removeResource, notifyResourceListChanged)
+  }
+
+  /**
+   * Unregister a resource. Clients are sent resources/list_changed.
+   * @param {string} uri - Resource URI
+   * @returns {boolean} Whether the resource existed
+   */
+  function removeResource(uri) {
+    if (!resources.delete(uri)) return false
+    scheduleListChanged(notifyResourceListChanged)
+    syncWatchers()
+    return true
   }
 
   /**
    * Add multiple resources at once.
    */
   function addResources(resourceArray) {
-    for (const resource of resourceArray) {
-      addResource(resource)
-    }
+    return resourceArray.map(resource => addResource(resource))
   }
 
   /**
@@ -384,23 +948,53 @@ export function createMCPServer(options = {}) {
    * @param {string} template.name - Human-readable name
    * @param {string} [template.title] - Optional human-readable title for display
    * @param {string} [template.description] - Optional description
-   * @param {string} [template.mimeType] - Content type
-   * @param {function} template.read - async (params) => string or { text, annotations }
+   * @param {string} [template.mimeType] - Content type (default: text/plain, or application/octet-stream for binary reads)
+   * @param {function} template.read - async (params, ctx) => string, Uint8Array, { text, annotations }, { blob, mimeType, annotations }, or an array of those
    * @param {object} [template.annotations] - Optional annotations for the template itself
+   * @param {object} [template.complete] - Argument completers: { [variable]: async (value, context) => string[] }
+   * @param {object[]} [template.icons] - Icons for display: [{ src, mimeType?, sizes?, theme? }]
+   * @param {function} [template.list] - async (ctx) => [{ uri, name, title?, description?, mimeType?, size? }]:
+   *   concrete resources to include in resources/list (after the registered ones, sorted by URI)
+   * @param {object} [template._meta] - Extra metadata passed through in resources/templates/list (reserved keys are dropped)
+   * @returns {object} Handle with enable(), disable() and remove()
    */
   function addResourceTemplate(template) {
     if (!template.uriTemplate || !template.name || !template.read) {
       throw new Error('Resource template must have uriTemplate, name, and read function')
     }
-    resourceTemplates.set(template.uriTemplate, {
+    checkIcons(template.icons, 'Resource template')
+    const replaced = resourceTemplates.has(template.uriTemplate)
+    const definition = register(resourceTemplates, template.uriTemplate, {
       uriTemplate: template.uriTemplate,
       name: template.name,
       title: template.title,
       description: template.description,
       mimeType: template.mimeType || 'text/plain',
+      explicitMimeType: template.mimeType || null,
       read: template.read,
-      annotations: template.annotations || null
+      annotations: template.annotations || null,
+      complete: template.complete || null,
+      icons: template.icons || null,
+      list: template.list || null,
+      _meta: stripReservedMeta(template._meta)
     })
+    if (replaced) scheduleListChanged(notifyResourceListChanged)
+    syncWatchers() // Template subscriptions may now cover watched resources
+    return createHandle(resourceTemplates, template.uriTemplate, definition, removeResourceTemplate, notifyResourceListChanged)
+  }
+
+  /**
+   * Unregister a resource template and drop its compiled pattern.
+   * Clients are sent resources/list_changed.
+   * @param {string} uriTemplate - The template's URI pattern
+   * @returns {boolean} Whether the template existed
+   */
+  function removeResourceTemplate(uriTemplate) {
+    templateRegexCache.delete(uriTemplate)
+    if (!resourceTemplates.delete(uriTemplate)) return false
+    scheduleListChanged(notifyResourceListChanged)
+    syncWatchers()
+    return true
   }
 
   // ========== RFC 6570 URI TEMPLATE SUPPORT ==========
@@ -560,6 +1154,19 @@ export function createMCPServer(options = {}) {
     return decodeURIComponent(value)
   }
 
+  /**
+   * Get the compiled regex for a URI template, building it on first use.
+   * @returns {{ regex: RegExp, captures: object[] }}
+   */
+  function compileTemplate(uriTemplate) {
+    let cached = templateRegexCache.get(uriTemplate)
+    if (!cached) {
+      cached = buildTemplateRegex(uriTemplate)
+      templateRegexCache.set(uriTemplate, cached)
+    }
+    return cached
+  }
+
   /**
    * Match a URI against templates and extract parameters.
    * Supports RFC 6570 URI Templates:
@@ -571,12 +1178,7 @@ export function createMCPServer(options = {}) {
    */
   function matchTemplate(uri) {
     for (const [uriTemplate, template] of resourceTemplates) {
-      let cached = templateRegexCache.get(uriTemplate)
-      if (!cached) {
-        cached = buildTemplateRegex(uriTemplate)
-        templateRegexCache.set(uriTemplate, cached)
-      }
-      const { regex, captures } = cached
+      const { regex, captures } = compileTemplate(uriTemplate)
 
       const match = uri.match(regex)
       if (match) {
@@ -599,104 +1201,432 @@ export function createMCPServer(options = {}) {
     return null
   }
 
+  /**
+   * Normalize what a resource or template produced into a resources/read content item.
+   *
+   * Handles different return formats from read():
+   * 1. String - plain text content
+   * 2. Uint8Array (including Buffer) or ArrayBuffer - binary content, base64-encoded into blob
+   * 3. Object with blob (bytes or base64 string) and optional uri/mimeType/annotations/_meta
+   * 4. Object with text and optional uri/mimeType/annotations/_meta
+   * 5. Anything else - JSON-stringified into text
+   *
+   * @param {string} uri - URI that was read (used when the item has no uri of its own)
+   * @param {*} rawContent - Value from read() or the static definition
+   * @param {object} definition - Resource or template definition (mimeType, annotations)
+   * @returns {object} { uri, mimeType, text | blob, annotations? }
+   */
+  function toResourceContent(uri, rawContent, definition) {
+    let body, mimeType, contentAnnotations, meta
+    if (rawContent && typeof rawContent === 'object' && typeof rawContent.uri === 'string' &&
+        ('blob' in rawContent || 'text' in rawContent)) {
+      uri = rawContent.uri
+    }
+    if (isBinary(rawContent)) {
+      body = { blob: toBase64(rawContent) }
+    } else if (rawContent && typeof rawContent === 'object' && 'blob' in rawContent) {
+      body = { blob: typeof rawContent.blob === 'string' ? rawContent.blob : toBase64(rawContent.blob) }
+      mimeType = rawContent.mimeType
+      contentAnnotations = rawContent.annotations
+      meta = stripReservedMeta(rawContent._meta)
+    } else if (rawContent && typeof rawContent === 'object' && 'text' in rawContent) {
+      body = { text: rawContent.text }
+      mimeType = rawContent.mimeType
+      contentAnnotations = rawContent.annotations
+      meta = stripReservedMeta(rawContent._meta)
+    } else {
+      body = { text: typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent) }
+    }
+
+    // Merge annotations: content-level annotations override resource-level
+    const annotations = contentAnnotations || definition.annotations || null
+
+    return {
+      uri,
+      mimeType: mimeType || defaultMimeType(body, definition),
+      ...body,
+      ...(annotations && { annotations }),
+      ...(meta && { _meta: meta })
+    }
+  }
+
+  /**
+   * Content type for an item that did not set its own.
+   * Binary bodies only use the definition's mimeType if it was given explicitly;
+   * the text/plain fallback would mislabel them.
+   */
+  function defaultMimeType(body, definition) {
+    if (body.blob === undefined) return definition.mimeType
+    return definition.explicitMimeType || 'application/octet-stream'
+  }
+
+  /**
+   * Normalize a read() result that may be a single item or an array of items.
+   * An array is only taken as several items when every entry is a content item
+   * (bytes, or an object with text or blob); each may carry its own uri/mimeType.
+   * Any other array is plain data and becomes one JSON text body.
+   */
+  function toResourceContents(uri, rawContent, definition) {
+    if (Array.isArray(rawContent) && rawContent.length > 0 && rawContent.every(isContentItem)) {
+      return rawContent.map(item => toResourceContent(uri, item, definition))
+    }
+    return toResourceContent(uri, rawContent, definition)
+  }
+
   /**
    * Read a resource by URI.
-   * Returns { uri, mimeType, text, annotations? }
+   * Returns { uri, mimeType, text | blob, annotations? }, or an array of those
+   * when read() returned several content items.
+   *
+   * @param {string} uri - Resource URI
+   * @param {object} [ctx] - Request context passed to read() (default: the 'default' session's context, without registering that session)
    */
-  async function readResource(uri) {
+  async function readResource(uri, ctx = createDirectContext()) {
     // Check static/dynamic resources first
     const resource = resources.get(uri)
     if (resource) {
       const rawContent = resource.read
-        ? await resource.read()
-        : resource.text
-
-      // Handle different return formats from read():
-      // 1. String - plain text content
-      // 2. Object with text and optional annotations
-      let text, contentAnnotations
-      if (rawContent && typeof rawContent === 'object' && 'text' in rawContent) {
-        text = rawContent.text
-        contentAnnotations = rawContent.annotations
-      } else {
-        text = typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent)
-      }
-
-      // Merge annotations: content-level annotations override resource-level
-      const annotations = contentAnnotations || resource.annotations || null
-
-      return {
-        uri,
-        mimeType: resource.mimeType,
-        text,
-        ...(annotations && { annotations })
-      }
+        ? await resource.read(ctx)
+        : resource.blob !== undefined ? { blob: resource.blob } : resource.text
+      return toResourceContents(uri, rawContent, resource)
     }
 
     // Try template matching
     const match = matchTemplate(uri)
     if (match) {
-      const rawContent = await match.template.read(match.params)
-
-      let text, contentAnnotations
-      if (rawContent && typeof rawContent === 'object' && 'text' in rawContent) {
-        text = rawContent.text
-        contentAnnotations = rawContent.annotations
-      } else {
-        text = typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent)
-      }
-
-      const annotations = contentAnnotations || match.template.annotations || null
-
-      return {
-        uri,
-        mimeType: match.template.mimeType,
-        text,
-        ...(annotations && { annotations })
-      }
+      const rawContent = await match.template.read(match.params, ctx)
+      return toResourceContents(uri, rawContent, match.template)
     }
 
     throw new MCPError(ErrorCode.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`)
   }
 
-  // ========== NOTIFICATIONS ==========
-
   /**
-   * Set the notification callback. Transport layer uses this to push to clients.
-   * @param {function} callback - (method, params, targets) => void
-   *   - targets: null = broadcast to all, Set<string> = send only to these client IDs
+   * Read one of this server's resources and wrap it as embedded resource content,
+   * ready to return from a tool. Returns an array when read() produced several items.
+   *
+   * @param {string} uri - Resource URI
+   * @param {object} [annotations] - Annotations for the content item
+   * @param {object} [ctx] - Request context passed to read()
    */
-  function setNotificationCallback(callback) {
-    onNotification = callback
+  async function embedResource(uri, annotations, ctx = createDirectContext()) {
+    const content = await readResource(uri, ctx)
+    if (Array.isArray(content)) return content.map(c => embeddedResource(c, annotations || c.annotations))
+    return embeddedResource(content, annotations || content.annotations)
   }
 
   /**
-   * Set callback for client-to-server notifications.
-   * Apps can use this to react to client events like cancellation or roots changes.
-   *
-   * @param {function} callback - (method, params) => void
-   *   - method: Notification method (e.g., 'notifications/cancelled')
-   *   - params: Notification parameters
+   * Get one page of resources/list: registered resources first (by list position),
+   * then the resources listed by templates with a list() hook, sorted by URI.
+   * Cursors into the listed part are '~' followed by the last URI returned.
    *
-   * @example
-   * mcp.setClientNotificationCallback((method, params) => {
-   *   if (method === 'notifications/cancelled') {
-   *     abortOperation(params.requestId)
-   *   }
-   * })
+   * @param {string} [cursor] - Opaque cursor from a previous page
+   * @param {object} ctx - Request context passed to list()
+   * @returns {Promise<{ items: object[], nextCursor?: string }>}
    */
-  function setClientNotificationCallback(callback) {
-    onClientNotification = callback
+  async function listResources(cursor, ctx) {
+    const inListed = typeof cursor === 'string' && cursor.startsWith('~')
+    let items = []
+    if (!inListed) {
+      const page = paginate(resources, cursor)
+      if (page.nextCursor) return page
+      items = page.items
+    }
+
+    const after = inListed ? cursor.slice(1) : ''
+    const listed = []
+    for (const template of resourceTemplates.values()) {
+      if (!template.list) continue
+      for (const entry of await template.list(ctx)) {
+        if (entry.uri > after) listed.push(entry)
+      }
+    }
+    listed.sort((a, b) => (a.uri < b.uri ? -1 : a.uri > b.uri ? 1 : 0))
+
+    const page = listed.slice(0, pageSize - items.length)
+    items = items.concat(page)
+    if (listed.length > page.length) {
+      return { items, nextCursor: '~' + (page.length > 0 ? page[page.length - 1].uri : after) }
+    }
+    return { items }
   }
 
+  // ========== DIRECTORIES ==========
+
   /**
-   * Send a notification (broadcast to all clients).
-   * @param {string} method - Notification method
-   * @param {object} params - Notification parameters
+   * Expose a local directory as resources.
+   *
+   * Registers a resource template ('<uriPrefix>{+path}') that reads files under
+   * root and lists them in resources/list. Text files are returned as text,
+   * everything else as blob, with the content type detected from the extension.
+   * Paths containing '..' and symlinks that resolve outside root are rejected.
+   * Works on Node.js (node:fs) and Bare (bare-fs) via lib/fs.js.
+   *
+   * @param {object} options
+   * @param {string} options.root - Directory to expose
+   * @param {string} [options.uriPrefix] - URI prefix for files (default: the root's file:// URL plus '/')
+   * @param {string} [options.name] - Template name (default: the directory's name)
+   * @param {string} [options.title] - Optional human-readable title for display
+   * @param {string} [options.description] - Optional description
+   * @param {object} [options.annotations] - Optional annotations for the template
+   * @returns {Promise<object>} Handle with enable(), disable() and remove()
    */
-  function notify(method, params = {}) {
-    onNotification(method, params, null) // null = broadcast
-  }
+  async function addDirectory({ root, uriPrefix, name: dirName, title: dirTitle, description, annotations } = {}) {
+    if (!root) {
+      throw new Error('Directory must have root')
+    }
+    const { fs, path } = await loadFs()
+    const rootPath = await fs.realpath(path.resolve(root))
+    if (!(await fs.stat(rootPath)).isDirectory()) {
+      throw new Error(`Directory root is not a directory: ${root}`)
+    }
+
+    const prefix = uriPrefix ?? 'file://' +
+      (rootPath.startsWith('/') ? '' : '/') +
+      rootPath.split(path.sep).map(encodeURIComponent).join('/') + '/'
+    if (/[{}]/.test(prefix)) {
+      throw new Error('Directory uriPrefix must not contain { or }')
+    }
+
+    // Resolve a URI path to a real file path inside root
+    const resolve = async (relative) => {
+      if (relative.includes('\0') || relative.split(/[\\/]/).includes('..') || path.isAbsolute(relative)) {
+        throw new MCPError(ErrorCode.INVALID_PARAMS, `Path escapes directory root: ${relative}`)
+      }
+      let real
+      try {
+        real = await fs.realpath(path.join(rootPath, relative))
+      } catch {
+        throw new MCPError(ErrorCode.RESOURCE_NOT_FOUND, `Resource not found: ${prefix}${relative}`)
+      }
+      if (!isWithin(path, rootPath, real)) {
+        throw new MCPError(ErrorCode.INVALID_PARAMS, `Path escapes directory root: ${relative}`)
+      }
+      if (!(await fs.stat(real)).isFile()) {
+        throw new MCPError(ErrorCode.RESOURCE_NOT_FOUND, `Resource not found: ${prefix}${relative}`)
+      }
+      return real
+    }
+
+    // Walk the tree; symlinks are listed only if they stay inside root, and never descended into
+    const walk = async (dir, files) => {
+      for (const entry of (await fs.readdir(dir)).sort()) {
+        const full = path.join(dir, entry)
+        const info = await fs.lstat(full)
+        if (info.isDirectory()) {
+          await walk(full, files)
+        } else if (info.isFile()) {
+          files.push({ full, size: info.size })
+        } else if (info.isSymbolicLink()) {
+          const real = await fs.realpath(full).catch(() => null)
+          if (!real || !isWithin(path, rootPath, real)) continue
+          const target = await fs.stat(real)
+          if (target.isFile()) files.push({ full, size: target.size })
+        }
+      }
+      return files
+    }
+
+    return addResourceTemplate({
+      uriTemplate: `${prefix}{+path}`,
+      name: dirName || path.basename(rootPath),
+      title: dirTitle,
+      description,
+      annotations,
+      read: async ({ path: relative }) => {
+        const bytes = await fs.readFile(await resolve(relative))
+        const mimeType = mimeTypeFor(relative, bytes)
+        return isTextMimeType(mimeType)
+          ? { text: bytes.toString('utf8'), mimeType }
+          : { blob: bytes, mimeType }
+      },
+      list: async () => {
+        const files = await walk(rootPath, [])
+        return files.map(({ full, size }) => {
+          const relative = path.relative(rootPath, full).split(path.sep)
+          const mimeType = mimeTypeFor(full)
+          return {
+            uri: prefix + relative.map(encodeURIComponent).join('/'),
+            name: relative.join('/'),
+            ...(mimeType && { mimeType }),
+            size
+          }
+        })
+      }
+    })
+  }
+
+  // ========== PROMPTS ==========
+
+  /**
+   * Register a prompt template.
+   *
+   * @param {object} prompt
+   * @param {string} prompt.name - Prompt name (unique identifier)
+   * @param {string} [prompt.title] - Optional human-readable title for display
+   * @param {string} [prompt.description] - Optional description
+   * @param {object[]} [prompt.arguments] - Arguments: [{ name, description?, required? }]
+   * @param {function} prompt.get - async (args, ctx) => string, messages array, or { description, messages }
+   * @param {object} [prompt.complete] - Argument completers: { [argument]: async (value, context) => string[] }
+   */
+  function addPrompt(prompt) {
+    if (!prompt.name || !prompt.get) {
+      throw new Error('Prompt must have name and get function')
+    }
+    register(prompts, prompt.name, {
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description,
+      arguments: prompt.arguments || [],
+      get: prompt.get,
+      complete: prompt.complete || null
+    })
+  }
+
+  /**
+   * Register multiple prompts at once.
+   */
+  function addPrompts(promptArray) {
+    for (const prompt of promptArray) {
+      addPrompt(prompt)
+    }
+  }
+
+  /**
+   * Render a prompt by name.
+   * Checks required arguments, then normalizes the result of get() to
+   * { description?, messages }.
+   *
+   * @param {string} promptName - Prompt name
+   * @param {object} [args] - Prompt arguments
+   * @param {object} [ctx] - Request context passed to get()
+   */
+  async function getPrompt(promptName, args = {}, ctx = createDirectContext()) {
+    const prompt = prompts.get(promptName)
+    if (!prompt) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, `Unknown prompt: ${promptName}`)
+    }
+
+    for (const arg of prompt.arguments) {
+      if (arg.required && args[arg.name] === undefined) {
+        throw new MCPError(ErrorCode.INVALID_PARAMS, `${arg.name}: required`)
+      }
+    }
+
+    const result = await prompt.get(args, ctx)
+
+    // Handle different result formats from get():
+    // 1. String - single user message
+    // 2. Array of messages
+    // 3. Object with messages and optional description
+    let messages, description
+    if (typeof result === 'string') {
+      messages = [{ role: 'user', content: { type: 'text', text: result } }]
+    } else if (Array.isArray(result)) {
+      messages = result
+    } else if (result && Array.isArray(result.messages)) {
+      messages = result.messages
+      description = result.description
+    } else {
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, `Prompt ${promptName} returned no messages`)
+    }
+
+    description = description || prompt.description
+    return {
+      ...(description && { description }),
+      messages
+    }
+  }
+
+  // ========== COMPLETIONS ==========
+
+  const MAX_COMPLETION_VALUES = 100
+
+  /**
+   * Complete an argument value for a resource template or prompt.
+   *
+   * @param {object} ref - { type: 'ref/resource', uri } or { type: 'ref/prompt', name }
+   * @param {object} argument - { name, value }
+   * @param {object} [context] - { arguments } with already-resolved argument values
+   * @returns {Promise<object>} { completion: { values, total?, hasMore? } }
+   */
+  async function complete(ref, argument, context = {}) {
+    if (!ref || !argument || !argument.name) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing ref or argument parameter')
+    }
+
+    let target
+    if (ref.type === 'ref/resource') {
+      target = resourceTemplates.get(ref.uri)
+      if (!target) throw new MCPError(ErrorCode.INVALID_PARAMS, `Unknown resource template: ${ref.uri}`)
+    } else if (ref.type === 'ref/prompt') {
+      target = prompts.get(ref.name)
+      if (!target) throw new MCPError(ErrorCode.INVALID_PARAMS, `Unknown prompt: ${ref.name}`)
+    } else {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, `Unknown reference type: ${ref.type}`)
+    }
+
+    const completer = target.complete && target.complete[argument.name]
+    if (!completer) {
+      return { completion: { values: [], hasMore: false } }
+    }
+
+    const result = await completer(argument.value || '', { arguments: context.arguments || {} })
+
+    // Handle different return formats from completers:
+    // 1. Array of candidate strings
+    // 2. Object with values and optional total/hasMore
+    const values = Array.isArray(result) ? result : (result && result.values) || []
+    const total = Array.isArray(result) ? values.length : result && result.total
+    const hasMore = values.length > MAX_COMPLETION_VALUES || Boolean(result && result.hasMore)
+
+    return {
+      completion: {
+        values: values.slice(0, MAX_COMPLETION_VALUES),
+        ...(total !== undefined && { total }),
+        hasMore
+      }
+    }
+  }
+
+  // ========== NOTIFICATIONS ==========
+
+  /**
+   * Set the notification callback. Transport layer uses this to push to clients.
+   * @param {function} callback - (method, params, targets) => void
+   *   - targets: null = broadcast to all, Set<string> = send only to these client IDs
+   */
+  function setNotificationCallback(callback) {
+    onNotification = callback
+  }
+
+  /**
+   * Set callback for client-to-server notifications.
+   * Apps can use this to react to client events like cancellation or roots changes.
+   *
+   * @param {function} callback - (method, params) => void
+   *   - method: Notification method (e.g., 'notifications/cancelled')
+   *   - params: Notification parameters
+   *
+   * @example
+   * mcp.setClientNotificationCallback((method, params) => {
+   *   if (method === 'notifications/cancelled') {
+   *     abortOperation(params.requestId)
+   *   }
+   * })
+   */
+  function setClientNotificationCallback(callback) {
+    onClientNotification = callback
+  }
+
+  /**
+   * Send a notification (broadcast to all clients).
+   * @param {string} method - Notification method
+   * @param {object} params - Notification parameters
+   */
+  function notify(method, params = {}) {
+    onNotification(method, params, null) // null = broadcast
+  }
 
   /**
    * Send a notification to specific clients only.
@@ -712,7 +1642,8 @@ export function createMCPServer(options = {}) {
 
   /**
    * Notify that a resource has been updated.
-   * Only notifies clients subscribed to this URI.
+   * Only notifies clients subscribed to this URI, a matching template, or a
+   * matching prefix - once each.
    * @param {string} uri - The resource URI that changed
    */
   function notifyResourceUpdated(uri) {
@@ -736,18 +1667,27 @@ export function createMCPServer(options = {}) {
     notify('notifications/tools/list_changed', {})
   }
 
+  /**
+   * Notify that the prompt list has changed (broadcast to all).
+   */
+  function notifyPromptListChanged() {
+    notify('notifications/prompts/list_changed', {})
+  }
+
   /**
    * Send a progress notification for long-running operations.
    * @param {string} progressToken - Token identifying the operation
    * @param {number} progress - Progress value (0-100 or custom range)
    * @param {number} [total] - Total value (optional)
    * @param {string} [clientId] - Specific client to notify (null = broadcast)
+   * @param {string} [message] - Human-readable status (optional)
    */
-  function notifyProgress(progressToken, progress, total, clientId) {
+  function notifyProgress(progressToken, progress, total, clientId, message) {
     const params = {
       progressToken,
       progress,
-      ...(total !== undefined && { total })
+      ...(total !== undefined && total !== null && { total }),
+      ...(message && { message })
     }
     if (clientId) {
       notifyTargeted('notifications/progress', params, new Set([clientId]))
@@ -756,40 +1696,499 @@ export function createMCPServer(options = {}) {
     }
   }
 
+  /**
+   * Create a progress reporter for one request.
+   * Reports go only to the requesting session, using the progressToken the
+   * client sent in params._meta. Without a token the reporter is a no-op.
+   *
+   * @param {string|number} [progressToken] - Token from the request's _meta
+   * @param {string} sessionId - Session that made the request
+   * @returns {function} (progress, total?, message?) => void
+   * @throws {Error} from the reporter if progress does not increase
+   */
+  function createProgressReporter(progressToken, sessionId) {
+    if (progressToken === undefined || progressToken === null) {
+      return () => {}
+    }
+
+    let last = -Infinity
+    return (progress, total, message) => {
+      // Spec: progress MUST increase with each notification
+      if (typeof progress !== 'number' || !(progress > last)) {
+        throw new Error(`Progress must increase (last: ${last}, got: ${progress})`)
+      }
+      last = progress
+      notifyProgress(progressToken, progress, total, sessionId, message)
+    }
+  }
+
   /**
    * Subscribe a client to resource updates.
-   * @param {string} uri - Resource URI to subscribe to
+   *
+   * The uri can be an exact resource URI or the uriTemplate of a registered
+   * template (e.g. 'user://{id}'), which covers every URI the template matches.
+   * With { prefix: true } it covers every URI starting with the given string.
+   *
+   * @param {string} uri - Resource URI, uriTemplate, or URI prefix
    * @param {string} subscriberId - Unique subscriber identifier
+   * @param {object} [options]
+   * @param {boolean} [options.prefix=false] - Treat uri as a prefix
    */
-  function subscribe(uri, subscriberId) {
-    if (!subscriptions.has(uri)) {
-      subscriptions.set(uri, new Set())
+  function subscribe(uri, subscriberId, { prefix = false } = {}) {
+    const map = prefix ? prefixSubscriptions : subscriptions
+    if (!map.has(uri)) {
+      map.set(uri, new Set())
     }
-    subscriptions.get(uri).add(subscriberId)
+    map.get(uri).add(subscriberId)
+    syncWatchers()
   }
 
   /**
    * Unsubscribe a client from resource updates.
-   * @param {string} uri - Resource URI
+   * @param {string} uri - Resource URI, uriTemplate, or URI prefix (as subscribed)
    * @param {string} subscriberId - Subscriber identifier
+   * @param {object} [options]
+   * @param {boolean} [options.prefix=false] - Remove a prefix subscription
    */
-  function unsubscribe(uri, subscriberId) {
-    const subs = subscriptions.get(uri)
+  function unsubscribe(uri, subscriberId, { prefix = false } = {}) {
+    const map = prefix ? prefixSubscriptions : subscriptions
+    const subs = map.get(uri)
     if (subs) {
       subs.delete(subscriberId)
       if (subs.size === 0) {
-        subscriptions.delete(uri)
+        map.delete(uri)
       }
     }
+    syncWatchers()
   }
 
   /**
-   * Get all subscribers for a resource.
+   * Get all subscribers for a resource: exact subscriptions, subscriptions to
+   * registered templates that match the URI, and prefix subscriptions.
+   * Each subscriber appears once however many of its subscriptions match.
    * @param {string} uri - Resource URI
    * @returns {Set<string>} Set of subscriber IDs
    */
   function getSubscribers(uri) {
-    return subscriptions.get(uri) || new Set()
+    const subscribers = new Set(subscriptions.get(uri))
+    for (const [key, subs] of subscriptions) {
+      if (key !== uri && resourceTemplates.has(key) && compileTemplate(key).regex.test(uri)) {
+        for (const id of subs) subscribers.add(id)
+      }
+    }
+    for (const [prefix, subs] of prefixSubscriptions) {
+      if (uri.startsWith(prefix)) {
+        for (const id of subs) subscribers.add(id)
+      }
+    }
+    return subscribers
+  }
+
+  // ========== CHANGE DETECTION ==========
+
+  /**
+   * Check a resource's watch option.
+   * @returns {object|null} { interval } or { subscribe }, or null when not watched
+   */
+  function normalizeWatch(watch) {
+    if (watch === undefined || watch === null) return null
+    if (typeof watch === 'number') watch = { interval: watch }
+    if (watch && typeof watch.interval === 'number' && watch.interval > 0) return { interval: watch.interval }
+    if (watch && typeof watch.subscribe === 'function') return { subscribe: watch.subscribe }
+    throw new Error('Resource watch must be an interval in ms, { interval } or { subscribe }')
+  }
+
+  /**
+   * Start watchers for watched resources that have gained subscribers and stop
+   * the ones that have lost them (or whose resource was removed or replaced).
+   * Called whenever subscriptions or the resource registries change.
+   */
+  function syncWatchers() {
+    for (const [uri, watcher] of watchers) {
+      if (resources.get(uri) !== watcher.definition || getSubscribers(uri).size === 0) {
+        watcher.stop()
+        watchers.delete(uri)
+      }
+    }
+    for (const [uri, definition] of resources) {
+      if (definition.watch && !watchers.has(uri) && getSubscribers(uri).size > 0) {
+        watchers.set(uri, startWatcher(uri, definition))
+      }
+    }
+  }
+
+  /**
+   * Start watching one resource. Reads it once for a baseline, then re-reads
+   * on every tick or change event and notifies subscribers when the hash differs.
+   * @returns {object} Watcher with stop()
+   */
+  function startWatcher(uri, definition) {
+    const watcher = { definition, hash: null, checking: false, recheck: false, stop: null }
+
+    const check = async () => {
+      // A change reported mid-read gets its own read afterwards
+      if (watcher.checking) {
+        watcher.recheck = true
+        return
+      }
+      watcher.checking = true
+      try {
+        const content = await readResource(uri)
+        const items = Array.isArray(content) ? content : [content]
+        const hash = fnv1a(JSON.stringify(items.map(c => [c.uri, c.mimeType, c.text, c.blob])))
+        const changed = watcher.hash !== null && hash !== watcher.hash
+        watcher.hash = hash
+        if (changed && watchers.get(uri) === watcher) notifyResourceUpdated(uri)
+      } catch {
+        // A failed read is not a change; try again on the next tick or event
+      } finally {
+        watcher.checking = false
+        if (watcher.recheck && watchers.get(uri) === watcher) {
+          watcher.recheck = false
+          check()
+        }
+      }
+    }
+
+    if (definition.watch.interval) {
+      const timer = setInterval(check, definition.watch.interval)
+      timer.unref?.()
+      watcher.stop = () => clearInterval(timer)
+    } else {
+      const unsubscribe = definition.watch.subscribe(() => { check() })
+      watcher.stop = () => { if (typeof unsubscribe === 'function') unsubscribe() }
+    }
+
+    check() // Baseline
+    return watcher
+  }
+
+  // ========== SESSIONS ==========
+
+  /**
+   * Get the state for a session, creating it on first use.
+   * Session IDs come from the transport layer (connection ID), or 'default'.
+   * @param {string} sessionId - Session identifier
+   * @returns {object} { id, protocolVersion, clientInfo, clientCapabilities, logLevel, roots }
+   *   - clientInfo: { name, version } from initialize, or null before it
+   *   - clientCapabilities: Capabilities the client declared in initialize
+   */
+  function getSession(sessionId = 'default') {
+    let session = sessions.get(sessionId)
+    if (!session) {
+      session = newSession(sessionId)
+      sessions.set(sessionId, session)
+    }
+    return session
+  }
+
+  /**
+   * Fresh session state, not yet registered in sessions.
+   */
+  function newSession(sessionId) {
+    return {
+      id: sessionId,
+      protocolVersion,
+      clientInfo: null,
+      clientCapabilities: {},
+      logLevel: null,
+      roots: []
+    }
+  }
+
+  /**
+   * Forget a session. Transports call this when a connection closes.
+   * Drops the session's subscriptions and rejects its pending server-to-client requests.
+   * @param {string} sessionId - Session identifier
+   */
+  function closeSession(sessionId) {
+    sessions.delete(sessionId)
+    for (const uri of Array.from(subscriptions.keys())) {
+      unsubscribe(uri, sessionId)
+    }
+    for (const prefix of Array.from(prefixSubscriptions.keys())) {
+      unsubscribe(prefix, sessionId, { prefix: true })
+    }
+    for (const [id, pending] of pendingRequests) {
+      if (pending.sessionId === sessionId) {
+        clearTimeout(pending.timer)
+        pendingRequests.delete(id)
+        pending.reject(new MCPError(ErrorCode.INTERNAL_ERROR, 'Connection closed'))
+      }
+    }
+    // Nobody can poll a closed connection's tasks any more
+    for (const entry of Array.from(tasks.values())) {
+      if (entry.sessionId === sessionId) {
+        entry.controller.abort(new Error('Connection closed'))
+        clearTimeout(entry.timer)
+        tasks.delete(entry.task.taskId)
+        entry.settle()
+      }
+    }
+  }
+
+  // ========== SERVER-TO-CLIENT REQUESTS ==========
+
+  /**
+   * Set the outgoing request callback. Transport layer uses this to send
+   * JSON-RPC requests to a client.
+   * @param {function} callback - (message, sessionId) => void
+   *   - message: Complete JSON-RPC request object ({ jsonrpc, id, method, params })
+   *   - sessionId: Client to send to. Throw if it is not connected.
+   */
+  function setRequestCallback(callback) {
+    onRequest = callback
+  }
+
+  /**
+   * Send a JSON-RPC request to a client and wait for its response.
+   *
+   * @param {string} method - Request method (e.g., 'sampling/createMessage')
+   * @param {object} [params] - Request parameters
+   * @param {object} [opts]
+   * @param {string} [opts.sessionId='default'] - Client to send to
+   * @param {number} [opts.timeout] - Timeout in ms (default: options.requestTimeout)
+   * @returns {Promise<object>} The response result
+   * @throws {MCPError} with the client's error, or REQUEST_TIMEOUT
+   */
+  function request(method, params = {}, opts = {}) {
+    const { sessionId = 'default', timeout = requestTimeout } = opts
+
+    if (!onRequest) {
+      return Promise.reject(new MCPError(ErrorCode.INTERNAL_ERROR, 'Transport does not support server-to-client requests'))
+    }
+
+    const id = ++outgoingRequestId
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id)
+        reject(new MCPError(ErrorCode.REQUEST_TIMEOUT, `Request timed out: ${method}`))
+      }, timeout)
+
+      pendingRequests.set(id, { resolve, reject, timer, sessionId })
+
+      try {
+        onRequest({ jsonrpc: '2.0', id, method, params }, sessionId)
+      } catch (err) {
+        clearTimeout(timer)
+        pendingRequests.delete(id)
+        reject(new MCPError(ErrorCode.INTERNAL_ERROR, err.message))
+      }
+    })
+  }
+
+  /**
+   * Handle a JSON-RPC response from a client.
+   * Transports call this for every incoming message that has no method.
+   * A response only settles a request that was sent to the same session, so
+   * one client cannot answer another client's sampling or elicitation request.
+   *
+   * @param {object} message - Incoming JSON-RPC message
+   * @param {string} [sessionId='default'] - Session the response arrived on
+   * @returns {boolean} true if the message was a response (matched or not)
+   */
+  function handleResponse(message, sessionId = 'default') {
+    if (!message || message.method !== undefined || message.id === undefined || message.id === null) {
+      return false
+    }
+    if (!('result' in message) && !('error' in message)) {
+      return false
+    }
+
+    const pending = pendingRequests.get(message.id)
+    if (!pending || pending.sessionId !== sessionId) return true // Late response after timeout, unknown id, or another session's request
+
+    clearTimeout(pending.timer)
+    pendingRequests.delete(message.id)
+
+    if (message.error) {
+      const { code = ErrorCode.INTERNAL_ERROR, message: errMessage = 'Unknown error', data } = message.error
+      pending.reject(new MCPError(code, errMessage, data))
+    } else {
+      pending.resolve(message.result)
+    }
+    return true
+  }
+
+  /**
+   * Ask a client's LLM to generate a message (sampling/createMessage).
+   * Requires the client to have declared the `sampling` capability.
+   *
+   * @param {object} params - { messages, maxTokens, systemPrompt?, modelPreferences?, ... }
+   * @param {string} [sessionId='default'] - Client to ask
+   * @param {object} [opts] - { timeout }
+   * @returns {Promise<object>} { role, content, model, stopReason? }
+   *
+   * @example
+   * const reply = await mcp.createMessage({
+   *   messages: [{ role: 'user', content: { type: 'text', text: 'Summarize: ...' } }],
+   *   maxTokens: 200
+   * }, sessionId)
+   */
+  function createMessage(params, sessionId = 'default', opts = {}) {
+    if (!getSession(sessionId).clientCapabilities.sampling) {
+      return Promise.reject(new MCPError(ErrorCode.INVALID_REQUEST, 'Client does not support sampling'))
+    }
+    return request('sampling/createMessage', params, { ...opts, sessionId })
+  }
+
+  /**
+   * Ask the user for structured input through the client (elicitation/create).
+   * Requires the client to have declared the `elicitation` capability.
+   * Accepted content is validated against requestedSchema with validateArgs.
+   *
+   * @param {object} params
+   * @param {string} params.message - What to ask the user
+   * @param {object} params.requestedSchema - Flat JSON Schema (type: 'object') for the answer
+   * @param {string} [sessionId='default'] - Client to ask
+   * @param {object} [opts] - { timeout }
+   * @returns {Promise<object>} { action: 'accept', content } or { action: 'decline' | 'cancel' }
+   *
+   * @example
+   * const answer = await mcp.elicit({
+   *   message: 'Delete 42 files?',
+   *   requestedSchema: { type: 'object', properties: { confirm: { type: 'boolean' } }, required: ['confirm'] }
+   * }, sessionId)
+   * if (answer.action === 'accept' && answer.content.confirm) { ... }
+   */
+  async function elicit(params, sessionId = 'default', opts = {}) {
+    if (!params || !params.message || !params.requestedSchema) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, 'Elicitation requires message and requestedSchema')
+    }
+    if (!getSession(sessionId).clientCapabilities.elicitation) {
+      throw new MCPError(ErrorCode.INVALID_REQUEST, 'Client does not support elicitation')
+    }
+
+    const result = await request('elicitation/create', {
+      message: params.message,
+      requestedSchema: params.requestedSchema
+    }, { ...opts, sessionId })
+
+    const action = result && result.action
+    if (action === 'decline' || action === 'cancel') {
+      return { action }
+    }
+    if (action !== 'accept') {
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, `Invalid elicitation action: ${action}`)
+    }
+
+    return {
+      action,
+      content: validateArgs(params.requestedSchema, result.content || {})
+    }
+  }
+
+  // ========== PROTOCOL VERSIONS ==========
+
+  /**
+   * Pick the protocol version for a session.
+   * Uses the client's requested version if supported, otherwise the server's preferred version.
+   * @param {string} [requested] - Version from the client's initialize request
+   * @returns {string}
+   */
+  function negotiateProtocolVersion(requested) {
+    return supportedProtocolVersions.includes(requested) ? requested : protocolVersion
+  }
+
+  /**
+   * Check whether a session's negotiated version is at least minVersion.
+   * Versions are ISO dates, so string comparison orders them correctly.
+   * @param {string} sessionId - Session identifier
+   * @param {string} minVersion - First protocol version with the feature
+   * @returns {boolean}
+   */
+  function supportsVersion(sessionId, minVersion) {
+    return getSession(sessionId).protocolVersion >= minVersion
+  }
+
+  /**
+   * Display metadata for a list entry or serverInfo, limited to what the
+   * session's protocol version knows: title from 2025-06-18, icons from 2025-11-25.
+   * @param {object} definition - Anything with optional title/icons
+   * @param {string} sessionId - Session identifier
+   * @returns {object} { title?, icons? }
+   */
+  function displayFields(definition, sessionId) {
+    return {
+      ...(definition.title && supportsVersion(sessionId, '2025-06-18') && { title: definition.title }),
+      ...(definition.icons && supportsVersion(sessionId, '2025-11-25') && { icons: definition.icons })
+    }
+  }
+
+  // ========== ROOTS ==========
+
+  /**
+   * Fetch the client's roots (roots/list) and cache them on the session.
+   * Called automatically after notifications/initialized and on
+   * notifications/roots/list_changed when the client supports roots.
+   *
+   * @param {string} [sessionId='default'] - Client to ask
+   * @returns {Promise<object[]>} [{ uri, name? }]
+   */
+  async function refreshRoots(sessionId = 'default') {
+    const session = getSession(sessionId)
+    if (!session.clientCapabilities.roots) {
+      throw new MCPError(ErrorCode.INVALID_REQUEST, 'Client does not support roots')
+    }
+    const result = await request('roots/list', {}, { sessionId })
+    session.roots = (result && result.roots) || []
+    return session.roots
+  }
+
+  /**
+   * Get the cached roots for a session.
+   * @param {string} [sessionId='default'] - Session identifier
+   * @returns {object[]} [{ uri, name? }] (empty until the client reports roots)
+   */
+  function getRoots(sessionId = 'default') {
+    const session = sessions.get(sessionId)
+    return session ? session.roots : []
+  }
+
+  /**
+   * Refresh roots in the background if the client supports them.
+   * Failures keep the previous cache; roots are advisory.
+   */
+  function syncRoots(sessionId) {
+    if (getSession(sessionId).clientCapabilities.roots) {
+      refreshRoots(sessionId).catch(() => {})
+    }
+  }
+
+  // ========== LOGGING ==========
+
+  /**
+   * Send a log message to clients (notifications/message).
+   * Only sessions that enabled logging via logging/setLevel receive it,
+   * and only if the level is at or above their minimum level.
+   *
+   * @param {string} level - One of LOG_LEVELS
+   * @param {*} data - Any JSON-serializable value (message string, object, ...)
+   * @param {string} [logger] - Optional logger name
+   * @param {string} [sessionId] - Only log to this session (default: all sessions)
+   *
+   * @example
+   * mcp.log('warning', { msg: 'Disk almost full', free: '2%' }, 'storage')
+   */
+  function log(level, data, logger, sessionId) {
+    const rank = LOG_LEVELS.indexOf(level)
+    if (rank === -1) {
+      throw new Error(`Invalid log level: ${level}`)
+    }
+
+    const targets = new Set()
+    for (const session of sessions.values()) {
+      if (sessionId && session.id !== sessionId) continue
+      if (session.logLevel && rank >= LOG_LEVELS.indexOf(session.logLevel)) {
+        targets.add(session.id)
+      }
+    }
+
+    notifyTargeted('notifications/message', {
+      level,
+      ...(logger && { logger }),
+      data
+    }, targets)
   }
 
   // ========== ACTIVITY TRACKING ==========
@@ -803,130 +2202,557 @@ export function createMCPServer(options = {}) {
 
   /**
    * Record activity (called after tool execution).
+   * Entries include the session and, once known, the client's name and version.
+   * Failures carry errorType: 'protocol' (unknown tool, invalid params, MCPError)
+   * or 'execution' (execute() threw).
    */
-  function recordActivity(toolName, success, error = null) {
+  function recordActivity(toolName, success, error = null, sessionId = null, errorType = null) {
+    const session = sessionId ? sessions.get(sessionId) : null
+    const clientInfo = session && session.clientInfo
     onActivity({
       tool: toolName,
       timestamp: Date.now(),
       success,
-      ...(error && { error })
+      ...(error && { error }),
+      ...(errorType && { errorType }),
+      ...(sessionId && { sessionId }),
+      ...(clientInfo && { client: { name: clientInfo.name, version: clientInfo.version } })
     })
   }
 
+  // ========== PAGINATION ==========
+
+  /**
+   * Get one page of a registry for a list method.
+   *
+   * Cursors encode the list position of the last item returned, so entries
+   * added or removed between pages neither repeat nor shift the next page.
+   *
+   * @param {Map} map - Registry to list
+   * @param {string} [cursor] - Opaque cursor from a previous page
+   * @returns {{ items: object[], nextCursor?: string }}
+   */
+  function paginate(map, cursor) {
+    let after = 0
+    if (cursor !== undefined && cursor !== null) {
+      after = typeof cursor === 'string' && /^[0-9a-z]+$/.test(cursor) ? parseInt(cursor, 36) : NaN
+      if (Number.isNaN(after)) {
+        throw new MCPError(ErrorCode.INVALID_PARAMS, `Invalid cursor: ${cursor}`)
+      }
+    }
+
+    const entries = []
+    for (const definition of map.values()) {
+      const position = positionOf(definition)
+      if (position > after) entries.push([position, definition])
+    }
+    entries.sort((a, b) => a[0] - b[0])
+
+    const page = entries.slice(0, pageSize)
+    const hasMore = entries.length > page.length
+    return {
+      items: page.map(([, definition]) => definition),
+      ...(hasMore && { nextCursor: page[page.length - 1][0].toString(36) })
+    }
+  }
+
+  // ========== CANCELLATION ==========
+
+  /**
+   * Start tracking an in-flight request so it can be cancelled.
+   * Several requests can share a (session, id) key, e.g. HTTP clients without
+   * a session that all land on 'default', so each key holds a list.
+   * @returns {AbortController}
+   */
+  function trackRequest(sessionId, requestId) {
+    let requests = inFlight.get(sessionId)
+    if (!requests) {
+      requests = new Map()
+      inFlight.set(sessionId, requests)
+    }
+    const controller = createAbortController()
+    const controllers = requests.get(requestId)
+    if (controllers) controllers.push(controller)
+    else requests.set(requestId, [controller])
+    return controller
+  }
+
+  function untrackRequest(sessionId, requestId, controller) {
+    const requests = inFlight.get(sessionId)
+    const controllers = requests?.get(requestId)
+    if (!controllers) return
+    const index = controllers.indexOf(controller)
+    if (index !== -1) controllers.splice(index, 1)
+    if (controllers.length === 0) requests.delete(requestId)
+    if (requests.size === 0) inFlight.delete(sessionId)
+  }
+
+  /**
+   * Cancel an in-flight request (as if the client sent notifications/cancelled).
+   * Aborts the signal given to the handler; its response will not be sent.
+   *
+   * @param {string} sessionId - Session that made the request
+   * @param {string|number} requestId - JSON-RPC id of the request
+   * @param {string} [reason] - Optional reason
+   * If several requests share the session and id, all of them are cancelled.
+   * @returns {boolean} true if a matching request was in flight
+   */
+  function cancelRequest(sessionId, requestId, reason) {
+    const controllers = inFlight.get(sessionId)?.get(requestId)
+    if (!controllers) return false
+    const error = new MCPError(ErrorCode.INTERNAL_ERROR, reason ? `Request cancelled: ${reason}` : 'Request cancelled')
+    for (const controller of [...controllers]) controller.abort(error)
+    return true
+  }
+
+  // ========== REQUEST CONTEXT ==========
+
+  /**
+   * Build the context object handed to tool, resource, template and prompt handlers.
+   * Everything in it is scoped to the session and request that triggered the call.
+   *
+   * @param {object} [params] - Request params (uses _subscriberId and _meta.progressToken)
+   * @param {object} [extra] - { requestId, signal } from handleMessage, or { session } to use
+   *   that session state instead of looking it up (and registering it)
+   * @returns {object} ctx
+   *   - sessionId, session, clientInfo: Who is calling
+   *   - requestId: JSON-RPC id of the request (undefined when called directly)
+   *   - taskId: Task the request runs as (undefined unless task-augmented)
+   *   - meta: The request's params._meta without reserved keys (e.g. progressToken), or null
+   *   - signal: AbortSignal, aborted on notifications/cancelled
+   *   - progress(progress, total?, message?): Progress reporter (no-op without a progressToken)
+   *   - notify(method, params): Send a notification to this session only
+   *   - log(level, data, logger?): Log to this session (respects its logging/setLevel)
+   *   - createMessage(params, opts?): Sampling request to this session's client
+   *   - elicit({ message, requestedSchema }, opts?): Elicitation request to this session's client
+   */
+  function createContext(params = {}, extra = {}) {
+    const sessionId = params._subscriberId || 'default'
+    const session = extra.session || getSession(sessionId)
+    return {
+      sessionId,
+      session,
+      clientInfo: session.clientInfo,
+      requestId: extra.requestId,
+      taskId: extra.taskId,
+      meta: stripReservedMeta(params._meta),
+      signal: extra.signal || createAbortController().signal,
+      progress: createProgressReporter(params._meta?.progressToken, sessionId),
+      notify: (notifyMethod, notifyParams = {}) => notifyTargeted(notifyMethod, notifyParams, new Set([sessionId])),
+      log: (level, data, logger) => log(level, data, logger, sessionId),
+      createMessage: (samplingParams, opts) => awaitingInput(extra.taskId, createMessage(samplingParams, sessionId, opts)),
+      elicit: (elicitParams, opts) => awaitingInput(extra.taskId, elicit(elicitParams, sessionId, opts))
+    }
+  }
+
+  /**
+   * Context for readResource, embedResource and getPrompt called from server code
+   * (including resource watchers). Uses the 'default' session if a client has
+   * created it, without registering one otherwise.
+   */
+  function createDirectContext() {
+    return createContext({}, { session: sessions.get('default') || newSession('default') })
+  }
+
+  // ========== TOOL RESULTS ==========
+
+  /**
+   * Whether execute() returned a complete CallToolResult rather than plain data.
+   * Needs a content array; for tools with an outputSchema the object must also
+   * have no keys besides those of a CallToolResult, since the data itself may
+   * have a content field.
+   */
+  function isFullToolResult(tool, result) {
+    if (!result || typeof result !== 'object' || !Array.isArray(result.content)) return false
+    return !tool.outputSchema || Object.keys(result).every(key => TOOL_RESULT_KEYS.includes(key))
+  }
+
+  /**
+   * Turn what a tool's execute() returned into a tools/call result.
+   *
+   * Handles different result formats:
+   * 1. Array of content items (with optional annotations)
+   * 2. Object with content array and optional isError/structuredContent/_meta
+   * 3. Plain object from a tool with outputSchema (becomes structuredContent plus a text copy)
+   * 4. Plain string or other value (wrap in text content)
+   *
+   * Content items are checked so malformed ones fail here rather than on the client.
+   */
+  function toToolResult(tool, result, sessionId) {
+    let response
+    if (Array.isArray(result)) {
+      response = { content: result }
+    } else if (isFullToolResult(tool, result)) {
+      // Validate structuredContent against outputSchema if both exist
+      if (tool.outputSchema && result.structuredContent) {
+        validateOutput(tool.outputSchema, result.structuredContent)
+      }
+      response = result
+    } else if (tool.outputSchema && result && typeof result === 'object') {
+      // Tool just returned data - it is the structured content. The serialized
+      // text block keeps clients that ignore structuredContent working.
+      validateOutput(tool.outputSchema, result)
+      response = {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+        structuredContent: result
+      }
+    } else {
+      // Simple result - wrap in text content
+      const text = typeof result === 'string' ? result : JSON.stringify(result)
+      return { content: [{ type: 'text', text }] }
+    }
+
+    // structuredContent was added in 2025-06-18
+    if (response.structuredContent && !supportsVersion(sessionId, '2025-06-18')) {
+      const { structuredContent, ...rest } = response
+      response = rest
+    }
+
+    // Reserved _meta keys belong to the library (e.g. related-task on task results)
+    if (response._meta !== undefined) {
+      const { _meta, ...rest } = response
+      const meta = stripReservedMeta(_meta)
+      response = meta ? { ...rest, _meta: meta } : rest
+    }
+
+    if (!Array.isArray(response.content)) {
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, 'content: must be array')
+    }
+    response.content.forEach((item, i) => validateContentItem(item, `content[${i}]`))
+    return response
+  }
+
+  /**
+   * Run a tool for tools/call and turn its outcome into a result.
+   * Shared by direct calls and task-augmented calls.
+   */
+  async function callTool(tool, params, extra) {
+    const { name: toolName, arguments: args } = params
+    const sessionId = params._subscriberId || 'default'
+
+    // Which step failed decides how a plain exception is reported
+    let phase = 'protocol'
+    try {
+      const validatedArgs = validateArgs(tool.inputSchema, args || {})
+      phase = 'execution'
+      const result = await tool.execute(validatedArgs, createContext(params, extra))
+      phase = 'protocol'
+      const response = toToolResult(tool, result, sessionId)
+
+      recordActivity(toolName, true, null, sessionId)
+      return response
+    } catch (err) {
+      // Zod and MCPError failures are protocol errors wherever they come from
+      const errorType = err.name === 'ZodError' || err instanceof MCPError ? 'protocol' : phase
+      recordActivity(toolName, false, err.message, sessionId, errorType)
+
+      // Convert Zod validation errors to INVALID_PARAMS
+      if (err.name === 'ZodError') {
+        const message = err.issues.map(i => `${i.path.join('.')}: ${i.message}`).join(', ')
+        throw new MCPError(ErrorCode.INVALID_PARAMS, message, { issues: err.issues })
+      }
+
+      // Re-throw MCPError as-is
+      if (err instanceof MCPError) {
+        throw err
+      }
+
+      // Report execution failures as tool results so the model can see them and recover
+      if (errorType === 'execution' && (tool.errorsAsResults ?? toolErrorsAsResults)) {
+        return { content: [{ type: 'text', text: err.message }], isError: true }
+      }
+
+      // Wrap other errors as internal errors
+      throw new MCPError(ErrorCode.INTERNAL_ERROR, err.message)
+    }
+  }
+
+  // ========== TASKS ==========
+
+  /**
+   * Start running a request as a task and return the task right away.
+   * The work continues in the background; clients poll tasks/get, wait on
+   * tasks/result, or watch notifications/tasks/status. Finished tasks are
+   * kept for their ttl, then forgotten.
+   *
+   * @param {string} sessionId - Session that owns the task
+   * @param {object} taskParams - The request's task metadata ({ ttl? })
+   * @param {object} extra - Per-request context of the request that created the task
+   * @param {function} run - (extra) => Promise<result>; receives the task's signal and taskId
+   * @returns {object} Task
+   */
+  function createTask(sessionId, taskParams, extra, run) {
+    const now = new Date().toISOString()
+    const requestedTtl = typeof taskParams.ttl === 'number' ? taskParams.ttl : taskTtl
+    const task = {
+      taskId: `task-${Date.now().toString(36)}-${++taskCounter}`,
+      status: 'working',
+      createdAt: now,
+      lastUpdatedAt: now,
+      ttl: Math.min(requestedTtl, taskTtl),
+      pollInterval: taskPollInterval
+    }
+
+    const entry = { task, sessionId, controller: createAbortController(), result: null, error: null, timer: null }
+    entry.done = new Promise(resolve => { entry.settle = resolve })
+    tasks.set(task.taskId, entry)
+    positionOf(entry)
+
+    run({ requestId: extra.requestId, taskId: task.taskId, signal: entry.controller.signal })
+      .then(
+        (result) => finishTask(entry, result && result.isError ? 'failed' : 'completed', result, null),
+        (err) => finishTask(entry, 'failed', null, err)
+      )
+
+    return { ...task }
+  }
+
+  /**
+   * Record a task's outcome, unless it was already cancelled.
+   */
+  function finishTask(entry, status, result, error) {
+    if (TERMINAL_TASK_STATUSES.includes(entry.task.status)) return
+    entry.result = result
+    entry.error = error
+    setTaskStatus(entry, status, error ? error.message : undefined)
+  }
+
+  /**
+   * Move a task to a new status and tell its session.
+   * Terminal statuses wake tasks/result waiters and start the ttl countdown.
+   */
+  function setTaskStatus(entry, status, statusMessage) {
+    const { task } = entry
+    task.status = status
+    task.lastUpdatedAt = new Date().toISOString()
+    if (statusMessage) task.statusMessage = statusMessage
+    else delete task.statusMessage
+
+    if (TERMINAL_TASK_STATUSES.includes(status)) {
+      entry.settle()
+      entry.timer = setTimeout(() => tasks.delete(task.taskId), task.ttl)
+      entry.timer.unref?.()
+    }
+
+    notifyTargeted('notifications/tasks/status', { ...task }, new Set([entry.sessionId]))
+  }
+
+  /**
+   * Mark a task input_required while it waits on the client (sampling, elicitation).
+   * Outside a task the promise is returned untouched.
+   */
+  function awaitingInput(taskId, promise) {
+    const entry = taskId && tasks.get(taskId)
+    if (!entry || entry.task.status !== 'working') return promise
+    setTaskStatus(entry, 'input_required')
+    const resume = () => {
+      if (entry.task.status === 'input_required') setTaskStatus(entry, 'working')
+    }
+    promise.then(resume, resume)
+    return promise
+  }
+
+  /**
+   * Look up a task owned by a session.
+   * @throws {MCPError} INVALID_PARAMS if it does not exist (or belongs to another session)
+   */
+  function getTask(sessionId, taskId) {
+    const entry = tasks.get(taskId)
+    if (!entry || entry.sessionId !== sessionId) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, `Task not found: ${taskId}`)
+    }
+    return entry
+  }
+
+  /**
+   * Cancel a task that has not finished yet.
+   * Aborts the signal its handler received and reports status 'cancelled'.
+   * @returns {object} Task
+   */
+  function cancelTask(sessionId, taskId) {
+    const entry = getTask(sessionId, taskId)
+    if (TERMINAL_TASK_STATUSES.includes(entry.task.status)) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, `Cannot cancel task in ${entry.task.status} status`)
+    }
+    entry.controller.abort(new Error('Task cancelled'))
+    setTaskStatus(entry, 'cancelled')
+    return { ...entry.task }
+  }
+
+  /**
+   * Wait for a task to finish and return the result of the request it ran.
+   * Failed requests throw their original error.
+   */
+  async function getTaskResult(sessionId, taskId) {
+    const entry = getTask(sessionId, taskId)
+    await entry.done
+
+    if (entry.task.status === 'cancelled' || !tasks.has(taskId)) {
+      throw new MCPError(ErrorCode.INVALID_PARAMS, `Task cancelled: ${taskId}`)
+    }
+    if (entry.error) throw entry.error
+    return {
+      ...entry.result,
+      _meta: { ...entry.result._meta, [RELATED_TASK_META]: { taskId } }
+    }
+  }
+
   // ========== REQUEST HANDLING ==========
 
   /**
    * Handle MCP JSON-RPC request.
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {object} [params] - Method parameters (transports inject _subscriberId)
+   * @param {object} [extra] - Per-request context from handleMessage
+   * @param {string|number} [extra.requestId] - JSON-RPC id of the request
+   * @param {AbortSignal} [extra.signal] - Aborted when the client cancels the request
    */
-  async function handleRequest(method, params = {}) {
+  async function handleRequest(method, params = {}, extra = {}) {
     switch (method) {
-      case 'initialize':
+      case 'initialize': {
+        const session = getSession(params._subscriberId || 'default')
+        session.protocolVersion = negotiateProtocolVersion(params.protocolVersion)
+        session.clientCapabilities = params.capabilities || {}
+        session.clientInfo = params.clientInfo || null
+        // icons and websiteUrl arrived in 2025-11-25
+        const withIcons = supportsVersion(session.id, '2025-11-25')
         return {
-          protocolVersion,
-          serverInfo: { name, version },
+          protocolVersion: session.protocolVersion,
+          serverInfo: {
+            name,
+            ...displayFields({ title, icons }, session.id),
+            version,
+            ...(withIcons && websiteUrl && { websiteUrl })
+          },
+          ...(instructions && { instructions }),
           capabilities: {
             tools: { listChanged: true },
-            resources: { subscribe: true, listChanged: true }
+            resources: { subscribe: true, listChanged: true },
+            prompts: { listChanged: true },
+            completions: {},
+            logging: {},
+            // Tasks were added in 2025-11-25
+            ...(supportsVersion(session.id, '2025-11-25') && {
+              tasks: { list: {}, cancel: {}, requests: { tools: { call: {} } } }
+            })
           }
         }
+      }
 
       // ===== TOOLS =====
 
-      case 'tools/list':
+      case 'tools/list': {
+        const { items, nextCursor } = paginate(tools, params.cursor)
+        // outputSchema was added in 2025-06-18
+        const withOutputSchema = supportsVersion(params._subscriberId || 'default', '2025-06-18')
+        // execution.taskSupport was added in 2025-11-25
+        const withTasks = supportsVersion(params._subscriberId || 'default', '2025-11-25')
         return {
-          tools: Array.from(tools.values()).map(t => ({
+          tools: items.map(t => ({
             name: t.name,
+            ...displayFields(t, params._subscriberId || 'default'),
             description: t.description,
             inputSchema: t.inputSchema,
-            ...(t.outputSchema && { outputSchema: t.outputSchema }),
-            ...(t.annotations && { annotations: t.annotations })
-          }))
+            ...(withOutputSchema && t.outputSchema && { outputSchema: t.outputSchema }),
+            ...(t.annotations && { annotations: t.annotations }),
+            ...(withTasks && t.taskSupport !== 'forbidden' && { execution: { taskSupport: t.taskSupport } }),
+            ...(t._meta && { _meta: t._meta })
+          })),
+          ...(nextCursor && { nextCursor })
         }
+      }
 
       case 'tools/call': {
-        const { name: toolName, arguments: args } = params
+        const { name: toolName } = params
         const tool = tools.get(toolName)
+        const sessionId = params._subscriberId || 'default'
 
         if (!tool) {
-          recordActivity(toolName, false, `Unknown tool: ${toolName}`)
+          recordActivity(toolName, false, `Unknown tool: ${toolName}`, sessionId, 'protocol')
           throw new MCPError(ErrorCode.INVALID_PARAMS, `Unknown tool: ${toolName}`)
         }
 
-        try {
-          const validatedArgs = validateArgs(tool.inputSchema, args || {})
-          const result = await tool.execute(validatedArgs)
-
-          recordActivity(toolName, true)
-
-          // Handle different result formats:
-          // 1. Array of content items (with optional annotations)
-          // 2. Object with content array and optional isError/structuredContent
-          // 3. Plain string or other value (wrap in text content)
-          if (Array.isArray(result)) {
-            return { content: result }
-          } else if (result && typeof result === 'object' && result.content) {
-            // Validate structuredContent against outputSchema if both exist
-            if (tool.outputSchema && result.structuredContent) {
-              validateOutput(tool.outputSchema, result.structuredContent)
-            }
-            return result
-          } else {
-            // Simple result - wrap in text content
-            const text = typeof result === 'string' ? result : JSON.stringify(result)
-            return { content: [{ type: 'text', text }] }
-          }
-        } catch (err) {
-          recordActivity(toolName, false, err.message)
+        // Task-augmented call: hand back a task right away and run in the background
+        if (params.task && tool.taskSupport !== 'forbidden') {
+          const task = createTask(sessionId, params.task, extra, (taskExtra) => callTool(tool, params, taskExtra))
+          return { task }
+        }
+        if (tool.taskSupport === 'required') {
+          throw new MCPError(ErrorCode.METHOD_NOT_FOUND, `Tool ${toolName} must be called as a task`)
+        }
 
-          // Convert Zod validation errors to INVALID_PARAMS
-          if (err.name === 'ZodError') {
-            const message = err.issues.map(i => `${i.path.join('.')}: ${i.message}`).join(', ')
-            throw new MCPError(ErrorCode.INVALID_PARAMS, message, { issues: err.issues })
-          }
+        return callTool(tool, params, extra)
+      }
 
-          // Re-throw MCPError as-is
-          if (err instanceof MCPError) {
-            throw err
-          }
+      // ===== TASKS =====
 
-          // Wrap other errors as internal errors
-          throw new MCPError(ErrorCode.INTERNAL_ERROR, err.message)
+      case 'tasks/get': {
+        const entry = getTask(params._subscriberId || 'default', params.taskId)
+        return { ...entry.task }
+      }
+
+      case 'tasks/result':
+        return getTaskResult(params._subscriberId || 'default', params.taskId)
+
+      case 'tasks/list': {
+        const sessionId = params._subscriberId || 'default'
+        const owned = new Map()
+        for (const [taskId, entry] of tasks) {
+          if (entry.sessionId === sessionId) owned.set(taskId, entry)
+        }
+        const { items, nextCursor } = paginate(owned, params.cursor)
+        return {
+          tasks: items.map(entry => ({ ...entry.task })),
+          ...(nextCursor && { nextCursor })
         }
       }
 
+      case 'tasks/cancel':
+        return cancelTask(params._subscriberId || 'default', params.taskId)
+
       // ===== RESOURCES =====
 
-      case 'resources/list':
+      case 'resources/list': {
+        const { items, nextCursor } = await listResources(params.cursor, createContext(params, extra))
         return {
-          resources: Array.from(resources.values()).map(r => ({
+          resources: items.map(r => ({
             uri: r.uri,
             name: r.name,
-            ...(r.title && { title: r.title }),
+            ...displayFields(r, params._subscriberId || 'default'),
             ...(r.description && { description: r.description }),
             mimeType: r.mimeType,
-            ...(r.annotations && { annotations: r.annotations })
-          }))
+            ...(r.size !== undefined && { size: r.size }),
+            ...(r.annotations && { annotations: r.annotations }),
+            ...(r._meta && { _meta: r._meta })
+          })),
+          ...(nextCursor && { nextCursor })
         }
+      }
 
-      case 'resources/templates/list':
+      case 'resources/templates/list': {
+        const { items, nextCursor } = paginate(resourceTemplates, params.cursor)
         return {
-          resourceTemplates: Array.from(resourceTemplates.values()).map(t => ({
+          resourceTemplates: items.map(t => ({
             uriTemplate: t.uriTemplate,
             name: t.name,
-            ...(t.title && { title: t.title }),
+            ...displayFields(t, params._subscriberId || 'default'),
             ...(t.description && { description: t.description }),
             mimeType: t.mimeType,
-            ...(t.annotations && { annotations: t.annotations })
-          }))
+            ...(t.annotations && { annotations: t.annotations }),
+            ...(t._meta && { _meta: t._meta })
+          })),
+          ...(nextCursor && { nextCursor })
         }
+      }
 
       case 'resources/read': {
         const { uri } = params
         if (!uri) throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing uri parameter')
 
-        const content = await readResource(uri)
+        const content = await readResource(uri, createContext(params, extra))
         return {
-          contents: [content]
+          contents: Array.isArray(content) ? content : [content]
         }
       }
 
@@ -935,7 +2761,7 @@ export function createMCPServer(options = {}) {
         if (!uri) throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing uri parameter')
         // subscriberId comes from transport layer (connection ID)
         const subscriberId = params._subscriberId || 'default'
-        subscribe(uri, subscriberId)
+        subscribe(uri, subscriberId, { prefix: params.prefix === true })
         return {}
       }
 
@@ -943,7 +2769,44 @@ export function createMCPServer(options = {}) {
         const { uri } = params
         if (!uri) throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing uri parameter')
         const subscriberId = params._subscriberId || 'default'
-        unsubscribe(uri, subscriberId)
+        unsubscribe(uri, subscriberId, { prefix: params.prefix === true })
+        return {}
+      }
+
+      // ===== PROMPTS =====
+
+      case 'prompts/list': {
+        const { items, nextCursor } = paginate(prompts, params.cursor)
+        return {
+          prompts: items.map(p => ({
+            name: p.name,
+            ...displayFields(p, params._subscriberId || 'default'),
+            ...(p.description && { description: p.description }),
+            arguments: p.arguments
+          })),
+          ...(nextCursor && { nextCursor })
+        }
+      }
+
+      case 'prompts/get': {
+        const { name: promptName, arguments: args } = params
+        if (!promptName) throw new MCPError(ErrorCode.INVALID_PARAMS, 'Missing name parameter')
+        return getPrompt(promptName, args || {}, createContext(params, extra))
+      }
+
+      // ===== COMPLETIONS =====
+
+      case 'completion/complete':
+        return complete(params.ref, params.argument, params.context)
+
+      // ===== LOGGING =====
+
+      case 'logging/setLevel': {
+        const { level } = params
+        if (!LOG_LEVELS.includes(level)) {
+          throw new MCPError(ErrorCode.INVALID_PARAMS, `Invalid log level: ${level}`)
+        }
+        getSession(params._subscriberId || 'default').logLevel = level
         return {}
       }
 
@@ -957,16 +2820,21 @@ export function createMCPServer(options = {}) {
 
       case 'notifications/initialized':
         // Client signals initialization is complete.
+        syncRoots(params._subscriberId || 'default')
         if (onClientNotification) onClientNotification(method, params)
         return {}
 
       case 'notifications/cancelled':
         // Client requests cancellation of a pending request.
+        if (params.requestId !== undefined) {
+          cancelRequest(params._subscriberId || 'default', params.requestId, params.reason)
+        }
         if (onClientNotification) onClientNotification(method, params)
         return {}
 
       case 'notifications/roots/list_changed':
         // Client's root list has changed.
+        syncRoots(params._subscriberId || 'default')
         if (onClientNotification) onClientNotification(method, params)
         return {}
 
@@ -975,16 +2843,98 @@ export function createMCPServer(options = {}) {
     }
   }
 
+  // ========== MESSAGE HANDLING ==========
+
+  /**
+   * Handle one incoming JSON-RPC message, or a JSON-RPC 2.0 batch array.
+   * Transports parse the JSON and send back whatever this returns.
+   *
+   * - Requests get a response object (result or error)
+   * - Notifications and responses to server-to-client requests get null
+   * - Batches run concurrently and get an array of the request responses,
+   *   or null when the batch held only notifications
+   *
+   * @param {object|object[]} message - Parsed JSON-RPC message or batch
+   * @param {object} [extra] - Transport context
+   * @param {string} [extra.sessionId] - Connection ID (injected as params._subscriberId)
+   * @returns {Promise<object|object[]|null>} Response to send, or null
+   */
+  async function handleMessage(message, extra = {}) {
+    if (!Array.isArray(message)) {
+      return handleSingleMessage(message, extra)
+    }
+
+    if (message.length === 0) {
+      return errorToJsonRpc(new MCPError(ErrorCode.INVALID_REQUEST, 'Empty batch'), null)
+    }
+
+    // Batching was removed in 2025-06-18. Look the session up without registering it;
+    // one that has not initialized yet uses the server's protocolVersion.
+    const session = sessions.get(extra.sessionId || 'default')
+    if ((session ? session.protocolVersion : protocolVersion) >= '2025-06-18') {
+      return errorToJsonRpc(new MCPError(ErrorCode.INVALID_REQUEST, 'Batches are not supported from protocol version 2025-06-18'), null)
+    }
+
+    const responses = await Promise.all(message.map(m => handleSingleMessage(m, extra)))
+    const sent = responses.filter(response => response !== null)
+    return sent.length > 0 ? sent : null
+  }
+
+  async function handleSingleMessage(message, extra) {
+    // Responses to server-to-client requests
+    if (handleResponse(message, extra.sessionId || 'default')) return null
+
+    const id = message && message.id !== undefined ? message.id : null
+    const isNotification = id === null
+
+    // Malformed messages are answered even without an id (JSON-RPC 2.0 §5)
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return errorToJsonRpc(new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version'), id)
+    }
+    if (typeof message.method !== 'string') {
+      return errorToJsonRpc(new MCPError(ErrorCode.INVALID_REQUEST, 'Missing method'), id)
+    }
+
+    // The transport decides the session; a client-supplied _subscriberId is never trusted
+    const params = { ...message.params, _subscriberId: extra.sessionId || 'default' }
+
+    if (isNotification) {
+      // Notifications never get a response, not even an error
+      try {
+        await handleRequest(message.method, params)
+      } catch {}
+      return null
+    }
+
+    // Track the request so notifications/cancelled can abort it
+    const sessionId = params._subscriberId || 'default'
+    const controller = trackRequest(sessionId, id)
+    try {
+      const result = await handleRequest(message.method, params, { requestId: id, signal: controller.signal })
+      return controller.signal.aborted ? null : { jsonrpc: '2.0', result, id }
+    } catch (err) {
+      // A cancelled request gets no response, whatever the handler did
+      return controller.signal.aborted ? null : errorToJsonRpc(err, id)
+    } finally {
+      untrackRequest(sessionId, id, controller)
+    }
+  }
+
   return {
     // Configuration
     name,
     version,
+    title,
+    instructions,
     protocolVersion,
+    supportedProtocolVersions,
+    pageSize,
 
     // Tool management
     tools,
     addTool,
     addTools,
+    removeTool,
 
     // Resource management
     resources,
@@ -992,10 +2942,24 @@ export function createMCPServer(options = {}) {
     addResource,
     addResources,
     addResourceTemplate,
+    removeResource,
+    removeResourceTemplate,
     readResource,
+    embedResource,
+    addDirectory,
+
+    // Prompt management
+    prompts,
+    addPrompt,
+    addPrompts,
+    getPrompt,
+
+    // Completions
+    complete,
 
     // Subscriptions
     subscriptions,
+    prefixSubscriptions,
     subscribe,
     unsubscribe,
     getSubscribers,
@@ -1007,16 +2971,42 @@ export function createMCPServer(options = {}) {
     notifyResourceUpdated,
     notifyResourceListChanged,
     notifyToolListChanged,
+    notifyPromptListChanged,
     notifyProgress,
 
     // Client notifications (client → server)
     setClientNotificationCallback,
 
+    // Sessions
+    sessions,
+    getSession,
+    closeSession,
+    supportsVersion,
+
+    // Server-to-client requests
+    setRequestCallback,
+    request,
+    handleResponse,
+    createMessage,
+    elicit,
+
+    // Roots
+    getRoots,
+    refreshRoots,
+
+    // Logging
+    log,
+
     // Activity tracking
     setActivityCallback,
     recordActivity,
 
+    // Cancellation
+    cancelRequest,
+
     // Request handling
-    handleRequest
+    createContext,
+    handleRequest,
+    handleMessage
   }
 }
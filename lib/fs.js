@@ -0,0 +1,23 @@
+/**
+ * Filesystem access (auto-detecting runtime)
+ *
+ * Uses which-runtime to pick node:fs/node:path or bare-fs/bare-path, like
+ * lib/http.js does for transports. index.js imports this lazily so the core
+ * stays free of filesystem dependencies until addDirectory() is used.
+ *
+ * Exports:
+ *   fs   - Promise API: readFile, readdir, stat, lstat, realpath
+ *   path - Path helpers: resolve, join, relative, extname, basename, sep, isAbsolute
+ */
+
+import { isBare } from 'which-runtime'
+
+const { default: fs } = isBare
+  ? await import('bare-fs/promises')
+  : await import('node:fs/promises')
+
+const { default: path } = isBare
+  ? await import('bare-path')
+  : await import('node:path')
+
+export { fs, path }
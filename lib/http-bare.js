@@ -51,6 +51,15 @@ export async function createHttpTransport(mcp, options = {}) {
     return `client-${++clientIdCounter}-${Date.now()}`
   }
 
+  // Verbose logging for incoming JSON-RPC messages (single or batch)
+  function logIncoming(message) {
+    for (const m of Array.isArray(message) ? message : [message]) {
+      if (!m || !m.method) continue
+      const isNotification = m.id === undefined || m.id === null
+      log(isNotification ? `← notification: ${m.method}` : `← request[${m.id}]: ${m.method}`, m.params || {})
+    }
+  }
+
   // Handle activity events (internal tracking only, not broadcast via MCP SSE)
   function handleActivity(entry) {
     activityLog.unshift(entry)
@@ -75,6 +84,19 @@ export async function createHttpTransport(mcp, options = {}) {
     }
   })
 
+  // Wire up outgoing request callback (e.g. sampling/createMessage)
+  // Server-to-client requests need a push channel, so only SSE sessions can receive them
+  mcp.setRequestCallback((message, sessionId) => {
+    for (const [res, client] of sseClients) {
+      if (client.id === sessionId) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`)
+        log(`→ request[${message.id}] via SSE: ${message.method}`)
+        return
+      }
+    }
+    throw new Error(`No connected client for session ${sessionId}`)
+  })
+
   // Broadcast to all SSE clients (MCP SSE format: event: message)
   function broadcastToSseClients(message) {
     const data = `event: message\ndata: ${JSON.stringify(message)}\n\n`
@@ -190,6 +212,7 @@ export async function createHttpTransport(mcp, options = {}) {
 
       req.on('close', () => {
         sseClients.delete(res)
+        mcp.closeSession(clientId)
         log(`SSE client disconnected: ${clientId}`)
       })
       return
@@ -209,99 +232,67 @@ export async function createHttpTransport(mcp, options = {}) {
         }
       }
 
-      let id = null
+      let response
       try {
         const body = await collectBody(req)
-        let request
+        let message
         try {
-          request = JSON.parse(body)
+          message = JSON.parse(body)
         } catch (parseErr) {
           throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
         }
 
-        id = request.id
-        const { jsonrpc, method, params } = request
-        const isNotification = id === undefined || id === null
+        logIncoming(message)
 
-        if (jsonrpc !== '2.0') {
-          throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-        }
-
-        log(isNotification ? `← notification: ${method}` : `← request[${id}]: ${method}`, params || {})
-
-        const result = await mcp.handleRequest(method, params || {})
-
-        // Send response via SSE if we have a session, otherwise via HTTP response
-        if (sseRes && !isNotification) {
-          const response = { jsonrpc: '2.0', result, id }
-          sseRes.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`)
-          log(`→ response[${id}] via SSE:`, result)
-        }
-
-        // Always send HTTP 202 Accepted for SSE transport
-        res.statusCode = 202
-        res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify({ accepted: true }))
+        // Session ID scopes per-session state (subscriptions, log level) to this SSE client
+        response = await mcp.handleMessage(message, sseRes ? { sessionId } : {})
       } catch (err) {
         console.error('[MCP-HTTP-Bare] SSE message error:', err.message)
+        response = errorToJsonRpc(err, null)
+      }
 
-        // Send error via SSE if possible
-        if (sseRes && id !== null) {
-          sseRes.write(`event: message\ndata: ${JSON.stringify(errorToJsonRpc(err, id))}\n\n`)
-        }
-
-        res.statusCode = 202
-        res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify({ accepted: true }))
+      // Send response via SSE if we have a session
+      if (sseRes && response) {
+        sseRes.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`)
+        log(`→ response via SSE:`, response)
       }
+
+      // Always send HTTP 202 Accepted for SSE transport
+      res.statusCode = 202
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({ accepted: true }))
       return
     }
 
-    // MCP endpoint (JSON-RPC)
+    // MCP endpoint (JSON-RPC, single request or batch)
     if (req.method === 'POST' && (req.url === '/mcp' || req.url === '/')) {
-      let id = null
+      let response
       try {
         const body = await collectBody(req)
-        let request
+        let message
         try {
-          request = JSON.parse(body)
+          message = JSON.parse(body)
         } catch (parseErr) {
           throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
         }
 
-        id = request.id
-        const { jsonrpc, method, params } = request
-        const isNotification = id === undefined || id === null
-
-        if (jsonrpc !== '2.0') {
-          throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-        }
-
-        // Verbose logging
-        if (isNotification) {
-          log(`← notification: ${method}`, params || {})
-        } else {
-          log(`← request[${id}]: ${method}`, params || {})
-        }
-
-        const result = await mcp.handleRequest(method, params || {})
-
-        // For notifications (no id), return 204 No Content per HTTP semantics
-        if (isNotification) {
-          log(`→ notification handled (204 No Content)`)
-          res.statusCode = 204
-          res.end()
-        } else {
-          log(`→ response[${id}]:`, result)
-          res.statusCode = 200
-          res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({ jsonrpc: '2.0', result, id }))
-        }
+        logIncoming(message)
+        response = await mcp.handleMessage(message)
       } catch (err) {
         console.error('[MCP-HTTP-Bare] Request error:', err.message)
+        response = errorToJsonRpc(err, null)
+      }
+
+      // Nothing to send back (notifications only): 204 No Content per HTTP semantics
+      if (!response) {
+        log(`→ notification handled (204 No Content)`)
+        res.statusCode = 204
+        res.end()
+      } else {
+        log(`→ response:`, response)
         res.statusCode = 200
         res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify(errorToJsonRpc(err, id)))
+        res.end(JSON.stringify(response))
       }
       return
     }
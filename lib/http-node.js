@@ -51,7 +51,7 @@ export async function createHttpTransport(mcp, options = {}) {
   // Client tracking
   const activityLog = []
   let toolCallCount = 0
-  const wsClients = new Map()  // ws -> { id, subscriptions }
+  const wsClients = new Map()  // ws -> { id }
   const sseClients = new Map() // res -> { id }
   let clientIdCounter = 0
 
@@ -79,6 +79,15 @@ export async function createHttpTransport(mcp, options = {}) {
     return `client-${++clientIdCounter}-${Date.now()}`
   }
 
+  // Verbose logging for incoming JSON-RPC messages (single or batch)
+  function logIncoming(message, via = '') {
+    for (const m of Array.isArray(message) ? message : [message]) {
+      if (!m || !m.method) continue
+      const isNotification = m.id === undefined || m.id === null
+      log(isNotification ? `← ${via}notification: ${m.method}` : `← ${via}request[${m.id}]: ${m.method}`, m.params || {})
+    }
+  }
+
   // Handle activity events
   function handleActivity(entry) {
     activityLog.unshift(entry)
@@ -113,6 +122,26 @@ export async function createHttpTransport(mcp, options = {}) {
     }
   })
 
+  // Wire up outgoing request callback (e.g. sampling/createMessage)
+  // Server-to-client requests need a push channel, so only WebSocket and SSE sessions can receive them
+  mcp.setRequestCallback((message, sessionId) => {
+    for (const [ws, client] of wsClients) {
+      if (client.id === sessionId && ws.readyState === 1) {
+        ws.send(JSON.stringify(message))
+        log(`→ ws request[${message.id}]: ${message.method}`)
+        return
+      }
+    }
+    for (const [res, client] of sseClients) {
+      if (client.id === sessionId) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`)
+        log(`→ request[${message.id}] via SSE: ${message.method}`)
+        return
+      }
+    }
+    throw new Error(`No connected client for session ${sessionId}`)
+  })
+
   // Broadcast to all WebSocket clients
   function broadcastToWsClients(message) {
     const data = JSON.stringify(message)
@@ -244,6 +273,7 @@ export async function createHttpTransport(mcp, options = {}) {
 
       req.on('close', () => {
         sseClients.delete(res)
+        mcp.closeSession(clientId)
         log(`SSE client disconnected: ${clientId}`)
       })
       return
@@ -263,97 +293,66 @@ export async function createHttpTransport(mcp, options = {}) {
         }
       }
 
-      let id = null
+      let response
       try {
         const body = await collectBody(req)
-        let request
+        let message
         try {
-          request = JSON.parse(body)
+          message = JSON.parse(body)
         } catch (parseErr) {
           throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
         }
 
-          id = request.id
-          const { jsonrpc, method, params } = request
-          const isNotification = id === undefined || id === null
-
-          if (jsonrpc !== '2.0') {
-            throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-          }
-
-          log(isNotification ? `← notification: ${method}` : `← request[${id}]: ${method}`, params || {})
-
-          const result = await mcp.handleRequest(method, params || {})
+        logIncoming(message)
 
-          // Send response via SSE if we have a session
-          if (sseRes && !isNotification) {
-            const response = { jsonrpc: '2.0', result, id }
-            sseRes.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`)
-            log(`→ response[${id}] via SSE:`, result)
-          }
-
-        res.statusCode = 202
-        res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify({ accepted: true }))
+        // Session ID scopes per-session state (subscriptions, log level) to this SSE client
+        response = await mcp.handleMessage(message, sseRes ? { sessionId } : {})
       } catch (err) {
         console.error('[MCP-HTTP] SSE message error:', err.message)
+        response = errorToJsonRpc(err, null)
+      }
 
-        if (sseRes && id !== null) {
-          sseRes.write(`event: message\ndata: ${JSON.stringify(errorToJsonRpc(err, id))}\n\n`)
-        }
-
-        res.statusCode = 202
-        res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify({ accepted: true }))
+      // Send response via SSE if we have a session
+      if (sseRes && response) {
+        sseRes.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`)
+        log(`→ response via SSE:`, response)
       }
+
+      res.statusCode = 202
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({ accepted: true }))
       return
     }
 
-    // MCP endpoint (JSON-RPC)
+    // MCP endpoint (JSON-RPC, single request or batch)
     if (req.method === 'POST' && (req.url === '/mcp' || req.url === '/')) {
-      let id = null
+      let response
       try {
         const body = await collectBody(req)
-        let request
+        let message
         try {
-          request = JSON.parse(body)
+          message = JSON.parse(body)
         } catch (parseErr) {
           throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
         }
 
-        id = request.id
-        const { jsonrpc, method, params } = request
-        const isNotification = id === undefined || id === null
-
-        if (jsonrpc !== '2.0') {
-          throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-        }
-
-        // Verbose logging
-        if (isNotification) {
-          log(`← notification: ${method}`, params || {})
-        } else {
-          log(`← request[${id}]: ${method}`, params || {})
-        }
-
-        const result = await mcp.handleRequest(method, params || {})
-
-        // For notifications (no id), return 204 No Content per HTTP semantics
-        if (isNotification) {
-          log(`→ notification handled (204 No Content)`)
-          res.statusCode = 204
-          res.end()
-        } else {
-          log(`→ response[${id}]:`, result)
-          res.statusCode = 200
-          res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({ jsonrpc: '2.0', result, id }))
-        }
+        logIncoming(message)
+        response = await mcp.handleMessage(message)
       } catch (err) {
         console.error('[MCP-HTTP] Request error:', err.message)
+        response = errorToJsonRpc(err, null)
+      }
+
+      // Nothing to send back (notifications only): 204 No Content per HTTP semantics
+      if (!response) {
+        log(`→ notification handled (204 No Content)`)
+        res.statusCode = 204
+        res.end()
+      } else {
+        log(`→ response:`, response)
         res.statusCode = 200
         res.setHeader('Content-Type', 'application/json')
-        res.end(JSON.stringify(errorToJsonRpc(err, id)))
+        res.end(JSON.stringify(response))
       }
       return
     }
@@ -372,7 +371,7 @@ export async function createHttpTransport(mcp, options = {}) {
       const clientId = generateClientId()
       log(`WebSocket client connected: ${clientId} from ${req.socket.remoteAddress}`)
 
-      wsClients.set(ws, { id: clientId, subscriptions: new Set() })
+      wsClients.set(ws, { id: clientId })
 
       // Send current status
       ws.send(JSON.stringify({
@@ -386,26 +385,15 @@ export async function createHttpTransport(mcp, options = {}) {
       }))
 
       ws.on('close', () => {
-        const client = wsClients.get(ws)
-        if (client) {
-          // Unsubscribe from all resources
-          for (const uri of client.subscriptions) {
-            mcp.unsubscribe(uri, clientId)
-          }
-        }
         wsClients.delete(ws)
+        mcp.closeSession(clientId) // Also drops the client's resource subscriptions
         log(`WebSocket client disconnected: ${clientId}`)
       })
 
       ws.on('error', (err) => {
         console.error('[MCP-HTTP] WebSocket error:', err.message)
-        const client = wsClients.get(ws)
-        if (client) {
-          for (const uri of client.subscriptions) {
-            mcp.unsubscribe(uri, clientId)
-          }
-        }
         wsClients.delete(ws)
+        mcp.closeSession(clientId)
       })
 
       ws.on('message', async (data) => {
@@ -420,44 +408,19 @@ export async function createHttpTransport(mcp, options = {}) {
             return
           }
 
-          // Handle JSON-RPC requests over WebSocket
-          if (msg.jsonrpc === '2.0' && msg.method) {
-            const { method, params, id } = msg
-            const isNotification = id === undefined || id === null
+          // Handle JSON-RPC messages (single or batch) over WebSocket
+          if (Array.isArray(msg) || msg.jsonrpc === '2.0') {
+            logIncoming(msg, 'ws ')
 
-            // Verbose logging
-            if (isNotification) {
-              log(`← ws notification: ${method}`, params || {})
-            } else {
-              log(`← ws request[${id}]: ${method}`, params || {})
-            }
+            // Inject subscriber ID so subscriptions and session state belong to this connection
+            const response = await mcp.handleMessage(msg, { sessionId: clientId })
 
-            try {
-              // Inject subscriber ID for subscription methods
-              const enrichedParams = { ...params, _subscriberId: clientId }
-              const result = await mcp.handleRequest(method, enrichedParams)
-
-              // Track subscriptions locally
-              if (method === 'resources/subscribe' && params?.uri) {
-                const client = wsClients.get(ws)
-                if (client) client.subscriptions.add(params.uri)
-              } else if (method === 'resources/unsubscribe' && params?.uri) {
-                const client = wsClients.get(ws)
-                if (client) client.subscriptions.delete(params.uri)
-              }
-
-              // Only send response for requests (has id), not for notifications
-              if (isNotification) {
-                log(`→ ws notification handled (no response)`)
-              } else {
-                log(`→ ws response[${id}]:`, result)
-                ws.send(JSON.stringify({ jsonrpc: '2.0', result, id }))
-              }
-            } catch (err) {
-              // Only send error response for requests, not notifications
-              if (!isNotification) {
-                ws.send(JSON.stringify(errorToJsonRpc(err, id)))
-              }
+            // Only send a response when there is one (not for notifications)
+            if (response) {
+              log(`→ ws response:`, response)
+              ws.send(JSON.stringify(response))
+            } else {
+              log(`→ ws notification handled (no response)`)
             }
           }
         } catch (err) {
@@ -23,10 +23,12 @@ import { MCPError, ErrorCode, errorToJsonRpc } from '../index.js'
  * @param {object} options
  * @param {function} [options.onActivity] - Activity callback (entry) => void
  * @param {function} [options.onClose] - Called when stdin closes
+ * @param {object} [options.stdin=process.stdin] - Stream to read messages from
+ * @param {object} [options.stdout=process.stdout] - Stream to write messages to
  * @returns {Promise<StdioTransport>}
  */
 export async function createStdioTransport(mcp, options = {}) {
-  const { onActivity, onClose } = options
+  const { onActivity, onClose, stdin = process.stdin, stdout = process.stdout } = options
 
   // Wire up activity callback
   mcp.setActivityCallback((entry) => {
@@ -38,7 +40,13 @@ export async function createStdioTransport(mcp, options = {}) {
   // For stdio, there's only one client, so we always send (ignore targets)
   mcp.setNotificationCallback((method, params, targets) => {
     const notification = { jsonrpc: '2.0', method, params }
-    process.stdout.write(JSON.stringify(notification) + '\n')
+    stdout.write(JSON.stringify(notification) + '\n')
+  })
+
+  // Wire up outgoing request callback (e.g. sampling/createMessage)
+  // For stdio, there's only one client, so the session is ignored
+  mcp.setRequestCallback((message, sessionId) => {
+    stdout.write(JSON.stringify(message) + '\n')
   })
 
   console.error(`[MCP-stdio-Bare] ${mcp.name} v${mcp.version} ready`)
@@ -47,41 +55,30 @@ export async function createStdioTransport(mcp, options = {}) {
 
   // Buffer for incomplete lines
   let buffer = ''
-  let processing = Promise.resolve()
 
-  // Process a complete line
+  // Process a complete line (single request or batch)
   async function processLine(line) {
-    if (!line.trim()) return
-
-    let id = null
+    let message
     try {
-      let request
-      try {
-        request = JSON.parse(line)
-      } catch (parseErr) {
-        throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
-      }
-
-      id = request.id
-      const { jsonrpc, method, params } = request
-
-      if (jsonrpc !== '2.0') {
-        throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-      }
-
-      const result = await mcp.handleRequest(method, params || {})
-
-      // Only send response for requests (has id), not for notifications
-      if (id !== undefined && id !== null) {
-        process.stdout.write(JSON.stringify({ jsonrpc: '2.0', result, id }) + '\n')
-      }
-    } catch (err) {
-      console.error('[MCP-stdio-Bare] Error:', err.message)
-      process.stdout.write(JSON.stringify(errorToJsonRpc(err, id)) + '\n')
+      message = JSON.parse(line)
+    } catch (parseErr) {
+      console.error('[MCP-stdio-Bare] Error: Invalid JSON')
+      stdout.write(JSON.stringify(errorToJsonRpc(new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON'), null)) + '\n')
+      return
+    }
+
+    const response = await mcp.handleMessage(message)
+
+    // Notifications and responses to our own requests get nothing back
+    if (response) {
+      stdout.write(JSON.stringify(response) + '\n')
     }
   }
 
-  // Handle stdin data — queue lines sequentially to avoid interleaved responses
+  // Handle stdin data. Lines are handled concurrently, like the Node transport:
+  // a slow request must not hold up notifications/cancelled, tasks/get or the
+  // responses it is itself waiting for. Each message is written in one call,
+  // so output lines never interleave.
   function onData(chunk) {
     buffer += chunk.toString()
 
@@ -90,7 +87,9 @@ export async function createStdioTransport(mcp, options = {}) {
     while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
       const line = buffer.slice(0, newlineIndex)
       buffer = buffer.slice(newlineIndex + 1)
-      processing = processing.then(() => processLine(line))
+      if (!line.trim()) continue
+
+      processLine(line)
     }
   }
 
@@ -101,20 +100,20 @@ export async function createStdioTransport(mcp, options = {}) {
   }
 
   // Set up stdin
-  process.stdin.on('data', onData)
-  process.stdin.on('end', onEnd)
-  process.stdin.on('close', onEnd)
+  stdin.on('data', onData)
+  stdin.on('end', onEnd)
+  stdin.on('close', onEnd)
 
   // Bare may need explicit resume
-  if (process.stdin.resume) {
-    process.stdin.resume()
+  if (stdin.resume) {
+    stdin.resume()
   }
 
   return {
     close() {
-      process.stdin.removeListener('data', onData)
-      process.stdin.removeListener('end', onEnd)
-      process.stdin.removeListener('close', onEnd)
+      stdin.removeListener('data', onData)
+      stdin.removeListener('end', onEnd)
+      stdin.removeListener('close', onEnd)
     }
   }
 }
@@ -47,6 +47,12 @@ export async function createStdioTransport(mcp, options = {}) {
     console.log(JSON.stringify(notification))
   })
 
+  // Wire up outgoing request callback (e.g. sampling/createMessage)
+  // For stdio, there's only one client, so the session is ignored
+  mcp.setRequestCallback((message, sessionId) => {
+    console.log(JSON.stringify(message))
+  })
+
   // Set up readline for stdin
   const rl = readline.createInterface({
     input: process.stdin,
@@ -58,33 +64,24 @@ export async function createStdioTransport(mcp, options = {}) {
   console.error(`[MCP-stdio] Tools: ${Array.from(mcp.tools.keys()).join(', ')}`)
   console.error(`[MCP-stdio] Resources: ${mcp.resources.size}, Templates: ${mcp.resourceTemplates.size}`)
 
-  // Process each line as a JSON-RPC request
+  // Process each line as a JSON-RPC message (single request or batch)
   rl.on('line', async (line) => {
-    let id = null
-    try {
-      let request
-      try {
-        request = JSON.parse(line)
-      } catch (parseErr) {
-        throw new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON')
-      }
+    if (!line.trim()) return
 
-      id = request.id
-      const { jsonrpc, method, params } = request
-
-      if (jsonrpc !== '2.0') {
-        throw new MCPError(ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC version')
-      }
+    let message
+    try {
+      message = JSON.parse(line)
+    } catch (parseErr) {
+      console.error('[MCP-stdio] Error: Invalid JSON')
+      console.log(JSON.stringify(errorToJsonRpc(new MCPError(ErrorCode.PARSE_ERROR, 'Invalid JSON'), null)))
+      return
+    }
 
-      const result = await mcp.handleRequest(method, params || {})
+    const response = await mcp.handleMessage(message)
 
-      // Only send response for requests (has id), not for notifications
-      if (id !== undefined && id !== null) {
-        console.log(JSON.stringify({ jsonrpc: '2.0', result, id }))
-      }
-    } catch (err) {
-      console.error('[MCP-stdio] Error:', err.message)
-      console.log(JSON.stringify(errorToJsonRpc(err, id)))
+    // Notifications and responses to our own requests get nothing back
+    if (response) {
+      console.log(JSON.stringify(response))
     }
   })
 
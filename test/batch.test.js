@@ -0,0 +1,196 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+// Batches are only accepted before 2025-06-18, so sessions default to an older version
+function createServer() {
+  const mcp = createMCPServer({ protocolVersion: '2025-03-26' })
+  mcp.addTool({
+    name: 'echo',
+    inputSchema: { type: 'object', properties: { msg: { type: 'string' } } },
+    execute: async ({ msg }) => msg
+  })
+  return mcp
+}
+
+test('handleMessage - single request returns response', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'ping' })
+
+  t.alike(response, { jsonrpc: '2.0', result: {}, id: 1 })
+})
+
+test('handleMessage - notification returns null', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })
+
+  t.is(response, null)
+})
+
+test('handleMessage - failed notification returns null', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', method: 'notifications/unknown' })
+
+  t.is(response, null)
+})
+
+test('handleMessage - invalid version returns INVALID_REQUEST', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage({ jsonrpc: '1.0', id: 5, method: 'ping' })
+
+  t.is(response.error.code, ErrorCode.INVALID_REQUEST)
+  t.is(response.id, 5)
+})
+
+test('handleMessage - errors become JSON-RPC error responses', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', id: 2, method: 'no/such/method' })
+
+  t.is(response.error.code, ErrorCode.METHOD_NOT_FOUND)
+  t.is(response.id, 2)
+})
+
+test('handleMessage - injects session ID as _subscriberId', async (t) => {
+  const mcp = createServer()
+
+  await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: 'data://x' } },
+    { sessionId: 'client-9' }
+  )
+
+  t.ok(mcp.getSubscribers('data://x').has('client-9'))
+})
+
+test('handleMessage - client-supplied _subscriberId is overwritten', async (t) => {
+  const mcp = createServer()
+
+  await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: 'data://x', _subscriberId: 'client-9' } },
+    { sessionId: 'client-1' }
+  )
+  await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: 'data://y', _subscriberId: 'client-9' } }
+  )
+
+  t.alike([...mcp.getSubscribers('data://x')], ['client-1'])
+  t.alike([...mcp.getSubscribers('data://y')], ['default'])
+})
+
+test('handleMessage - batch returns array of responses in order', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { msg: 'a' } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'echo', arguments: { msg: 'b' } } }
+  ])
+
+  t.is(response.length, 2)
+  t.is(response[0].id, 1)
+  t.is(response[0].result.content[0].text, 'a')
+  t.is(response[1].id, 2)
+  t.is(response[1].result.content[0].text, 'b')
+})
+
+test('handleMessage - batch omits notifications', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage([
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 'a', method: 'ping' }
+  ])
+
+  t.is(response.length, 1)
+  t.is(response[0].id, 'a')
+})
+
+test('handleMessage - batch of only notifications returns null', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage([
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', method: 'notifications/roots/list_changed' }
+  ])
+
+  t.is(response, null)
+})
+
+test('handleMessage - batch mixes results and errors', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage([
+    { jsonrpc: '2.0', id: 1, method: 'ping' },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'missing' } },
+    { foo: 'bar' }
+  ])
+
+  t.is(response.length, 3)
+  t.alike(response[0].result, {})
+  t.is(response[1].error.code, ErrorCode.INVALID_PARAMS)
+  t.is(response[2].error.code, ErrorCode.INVALID_REQUEST)
+  t.is(response[2].id, null)
+})
+
+test('handleMessage - batch runs requests concurrently', async (t) => {
+  const mcp = createMCPServer({ protocolVersion: '2025-03-26' })
+  const order = []
+
+  mcp.addTool({
+    name: 'wait',
+    inputSchema: { type: 'object', properties: { ms: { type: 'number' } } },
+    execute: async ({ ms }) => {
+      await new Promise(resolve => setTimeout(resolve, ms))
+      order.push(ms)
+      return String(ms)
+    }
+  })
+
+  const response = await mcp.handleMessage([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'wait', arguments: { ms: 30 } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'wait', arguments: { ms: 1 } } }
+  ])
+
+  t.alike(order, [1, 30]) // second finished first
+  t.is(response[0].id, 1) // but responses keep batch order
+})
+
+test('handleMessage - empty batch is INVALID_REQUEST', async (t) => {
+  const mcp = createServer()
+
+  const response = await mcp.handleMessage([])
+
+  t.is(response.error.code, ErrorCode.INVALID_REQUEST)
+  t.is(response.id, null)
+})
+
+test('handleMessage - batch is rejected from 2025-06-18', async (t) => {
+  const mcp = createServer()
+  const batch = [{ jsonrpc: '2.0', id: 1, method: 'ping' }]
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'new' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'old' })
+
+  const rejected = await mcp.handleMessage(batch, { sessionId: 'new' })
+  t.is(rejected.error.code, ErrorCode.INVALID_REQUEST)
+  t.is(rejected.id, null)
+
+  t.alike((await mcp.handleMessage(batch, { sessionId: 'old' }))[0].result, {})
+
+  const latest = createMCPServer()
+  t.is((await latest.handleMessage(batch)).error.code, ErrorCode.INVALID_REQUEST)
+  t.is(latest.sessions.size, 0)
+})
+
+test('handleMessage - routes responses to pending server requests', async (t) => {
+  const mcp = createServer()
+  mcp.setRequestCallback(() => {})
+
+  const pending = mcp.request('roots/list')
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', id: 1, result: { roots: [] } })
+
+  t.is(response, null)
+  t.alike(await pending, { roots: [] })
+})
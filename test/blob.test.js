@@ -0,0 +1,125 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+const BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff])
+const BYTES_BASE64 = 'iVBORw0KGgoA/w=='
+
+test('blob - read() returning Uint8Array is base64-encoded', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({
+    uri: 'image://logo',
+    name: 'Logo',
+    mimeType: 'image/png',
+    read: async () => BYTES
+  })
+
+  const result = await mcp.handleRequest('resources/read', { uri: 'image://logo' })
+  const content = result.contents[0]
+
+  t.is(content.uri, 'image://logo')
+  t.is(content.mimeType, 'image/png')
+  t.is(content.blob, BYTES_BASE64)
+  t.is(content.text, undefined)
+})
+
+test('blob - base64 padding for every remainder length', async (t) => {
+  const mcp = createMCPServer()
+  const cases = [
+    [[], ''],
+    [[0x66], 'Zg=='],
+    [[0x66, 0x6f], 'Zm8='],
+    [[0x66, 0x6f, 0x6f], 'Zm9v'],
+    [[0x66, 0x6f, 0x6f, 0x62], 'Zm9vYg==']
+  ]
+  for (const [i, [bytes]] of cases.entries()) {
+    mcp.addResource({ uri: `bin://${i}`, name: `bin-${i}`, read: () => new Uint8Array(bytes) })
+  }
+
+  for (const [i, [, expected]] of cases.entries()) {
+    const content = await mcp.readResource(`bin://${i}`)
+    t.is(content.blob, expected)
+  }
+})
+
+test('blob - read() returning ArrayBuffer is supported', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'bin://buf', name: 'Buffer', read: () => BYTES.buffer })
+
+  const content = await mcp.readResource('bin://buf')
+  t.is(content.blob, BYTES_BASE64)
+})
+
+test('blob - { blob, mimeType, annotations } object overrides resource defaults', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({
+    uri: 'report://latest',
+    name: 'Report',
+    annotations: { priority: 0.1 },
+    read: async () => ({
+      blob: BYTES,
+      mimeType: 'application/pdf',
+      annotations: { priority: 0.9 }
+    })
+  })
+
+  const content = await mcp.readResource('report://latest')
+  t.is(content.blob, BYTES_BASE64)
+  t.is(content.mimeType, 'application/pdf')
+  t.is(content.annotations.priority, 0.9)
+})
+
+test('blob - base64 string blob is passed through', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'bin://b64', name: 'B64', read: () => ({ blob: 'AAEC' }) })
+
+  const content = await mcp.readResource('bin://b64')
+  t.is(content.blob, 'AAEC')
+})
+
+test('blob - static blob resource defaults to application/octet-stream', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'bin://static', name: 'Static', blob: BYTES })
+
+  const content = await mcp.readResource('bin://static')
+  t.is(content.blob, BYTES_BASE64)
+  t.is(content.mimeType, 'application/octet-stream')
+
+  const list = await mcp.handleRequest('resources/list', {})
+  t.is(list.resources[0].mimeType, 'application/octet-stream')
+})
+
+test('blob - dynamic binary without a mimeType defaults to application/octet-stream', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'bin://dynamic', name: 'Dynamic', read: async () => BYTES })
+  mcp.addResource({ uri: 'bin://object', name: 'Object', read: async () => ({ blob: BYTES }) })
+  mcp.addResourceTemplate({ uriTemplate: 'bin://t/{id}', name: 'Template', read: async () => BYTES })
+
+  t.is((await mcp.readResource('bin://dynamic')).mimeType, 'application/octet-stream')
+  t.is((await mcp.readResource('bin://object')).mimeType, 'application/octet-stream')
+  t.is((await mcp.readResource('bin://t/1')).mimeType, 'application/octet-stream')
+})
+
+test('blob - template read() can return binary', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResourceTemplate({
+    uriTemplate: 'avatar://{id}',
+    name: 'Avatar',
+    mimeType: 'image/png',
+    read: async () => BYTES
+  })
+
+  const content = await mcp.readResource('avatar://42')
+  t.is(content.uri, 'avatar://42')
+  t.is(content.mimeType, 'image/png')
+  t.is(content.blob, BYTES_BASE64)
+})
+
+test('blob - text resources are unchanged', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'doc://a', name: 'A', text: 'hello' })
+  mcp.addResource({ uri: 'doc://b', name: 'B', read: () => ({ count: 1 }) })
+
+  t.is((await mcp.readResource('doc://a')).text, 'hello')
+  t.is((await mcp.readResource('doc://b')).text, '{"count":1}')
+  t.is((await mcp.readResource('doc://a')).blob, undefined)
+})
@@ -0,0 +1,141 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+// Tool that waits until its signal aborts (or a timeout passes)
+function addSlowTool(mcp, state) {
+  mcp.addTool({
+    name: 'slow',
+    execute: async (args, ctx) => {
+      state.signal = ctx.signal
+      state.requestId = ctx.requestId
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, 500)
+        ctx.signal.addEventListener('abort', () => {
+          clearTimeout(timer)
+          state.aborted = true
+          resolve()
+        })
+      })
+      return 'finished'
+    }
+  })
+}
+
+const callSlow = (id) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'slow' } })
+const cancel = (requestId, reason) => ({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId, reason } })
+
+test('cancellation - aborts signal and suppresses response', async (t) => {
+  const mcp = createMCPServer()
+  const state = {}
+  addSlowTool(mcp, state)
+
+  const pending = mcp.handleMessage(callSlow(7), { sessionId: 'client-1' })
+  await new Promise(resolve => setTimeout(resolve, 10))
+
+  t.is(state.requestId, 7)
+  t.is(state.signal.aborted, false)
+
+  await mcp.handleMessage(cancel(7, 'user gave up'), { sessionId: 'client-1' })
+
+  t.is(await pending, null)
+  t.is(state.aborted, true)
+  t.ok(state.signal.reason.message.includes('user gave up'))
+})
+
+test('cancellation - only matches requests from the same session', async (t) => {
+  const mcp = createMCPServer()
+  const state = {}
+  addSlowTool(mcp, state)
+
+  const pending = mcp.handleMessage(callSlow(1), { sessionId: 'client-1' })
+  await new Promise(resolve => setTimeout(resolve, 10))
+
+  await mcp.handleMessage(cancel(1), { sessionId: 'client-2' })
+  t.is(state.signal.aborted, false)
+
+  await mcp.handleMessage(cancel(1), { sessionId: 'client-1' })
+  t.is(await pending, null)
+})
+
+test('cancellation - suppresses error responses too', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addTool({
+    name: 'abortable',
+    execute: async (args, ctx) => {
+      await new Promise((resolve, reject) => {
+        ctx.signal.addEventListener('abort', () => reject(ctx.signal.reason))
+      })
+    }
+  })
+
+  const pending = mcp.handleMessage({ jsonrpc: '2.0', id: 'x', method: 'tools/call', params: { name: 'abortable' } })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  await mcp.handleMessage(cancel('x'))
+
+  t.is(await pending, null)
+})
+
+test('cancellation - unknown request id is ignored', async (t) => {
+  const mcp = createMCPServer()
+
+  t.is(mcp.cancelRequest('default', 999), false)
+  t.is(await mcp.handleMessage(cancel(999)), null)
+})
+
+test('cancellation - completed requests are no longer tracked', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'fast', execute: async () => 'done' })
+
+  const response = await mcp.handleMessage({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'fast' } })
+
+  t.is(response.result.content[0].text, 'done')
+  t.is(mcp.cancelRequest('default', 3), false)
+})
+
+test('cancellation - requests sharing a session and id are tracked separately', async (t) => {
+  const mcp = createMCPServer()
+  const signals = []
+  mcp.addTool({
+    name: 'wait',
+    execute: async ({ ms }, ctx) => {
+      signals.push(ctx.signal)
+      await new Promise(resolve => setTimeout(resolve, ms))
+      return 'done'
+    }
+  })
+  const call = (ms) => ({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'wait', arguments: { ms } } })
+
+  // Two sessionless clients both using id 1: the short call finishing must not
+  // untrack the long one
+  const short = mcp.handleMessage(call(5))
+  const long = mcp.handleMessage(call(200))
+  t.is((await short).result.content[0].text, 'done')
+
+  t.is(mcp.cancelRequest('default', 1), true)
+  t.is(signals[1].aborted, true)
+  t.is(await long, null)
+  t.is(mcp.cancelRequest('default', 1), false)
+})
+
+test('cancellation - client notification callback still fires', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setClientNotificationCallback((method, params) => received.push({ method, params }))
+
+  await mcp.handleMessage(cancel(5, 'timeout'))
+
+  t.is(received.length, 1)
+  t.is(received[0].params.requestId, 5)
+})
+
+test('tools/call - execute gets a signal when called directly', async (t) => {
+  const mcp = createMCPServer()
+  let signal = null
+  mcp.addTool({ name: 'check', execute: async (args, ctx) => { signal = ctx.signal; return 'ok' } })
+
+  await mcp.handleRequest('tools/call', { name: 'check' })
+
+  t.ok(signal)
+  t.is(signal.aborted, false)
+})
@@ -0,0 +1,153 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+test('completion/complete - completes resource template variable', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'user://{id}',
+    name: 'User',
+    read: async ({ id }) => id,
+    complete: {
+      id: async (value) => ['alice', 'albert', 'bob'].filter(id => id.startsWith(value))
+    }
+  })
+
+  const result = await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/resource', uri: 'user://{id}' },
+    argument: { name: 'id', value: 'al' }
+  })
+
+  t.alike(result.completion.values, ['alice', 'albert'])
+  t.is(result.completion.total, 2)
+  t.is(result.completion.hasMore, false)
+})
+
+test('completion/complete - passes context arguments to completer', async (t) => {
+  const mcp = createMCPServer()
+  let received = null
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'repo://{owner}/{name}',
+    name: 'Repo',
+    read: async () => '',
+    complete: {
+      name: async (value, context) => {
+        received = context
+        return []
+      }
+    }
+  })
+
+  await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/resource', uri: 'repo://{owner}/{name}' },
+    argument: { name: 'name', value: '' },
+    context: { arguments: { owner: 'octocat' } }
+  })
+
+  t.is(received.arguments.owner, 'octocat')
+})
+
+test('completion/complete - caps values at 100 and sets hasMore', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'item://{id}',
+    name: 'Item',
+    read: async () => '',
+    complete: {
+      id: async () => Array.from({ length: 150 }, (_, i) => `item-${i}`)
+    }
+  })
+
+  const result = await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/resource', uri: 'item://{id}' },
+    argument: { name: 'id', value: '' }
+  })
+
+  t.is(result.completion.values.length, 100)
+  t.is(result.completion.total, 150)
+  t.is(result.completion.hasMore, true)
+})
+
+test('completion/complete - accepts { values, total, hasMore } from completer', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'item://{id}',
+    name: 'Item',
+    read: async () => '',
+    complete: {
+      id: async () => ({ values: ['1', '2'], total: 500, hasMore: true })
+    }
+  })
+
+  const result = await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/resource', uri: 'item://{id}' },
+    argument: { name: 'id', value: '' }
+  })
+
+  t.alike(result.completion.values, ['1', '2'])
+  t.is(result.completion.total, 500)
+  t.is(result.completion.hasMore, true)
+})
+
+test('completion/complete - returns empty values without a completer', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'item://{id}',
+    name: 'Item',
+    read: async () => ''
+  })
+
+  const result = await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/resource', uri: 'item://{id}' },
+    argument: { name: 'id', value: 'x' }
+  })
+
+  t.alike(result.completion.values, [])
+  t.is(result.completion.hasMore, false)
+})
+
+test('completion/complete - completes prompt arguments', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'translate',
+    arguments: [{ name: 'language', required: true }],
+    get: async ({ language }) => `Translate to ${language}`,
+    complete: {
+      language: async (value) => ['French', 'Finnish', 'German'].filter(l => l.startsWith(value))
+    }
+  })
+
+  const result = await mcp.handleRequest('completion/complete', {
+    ref: { type: 'ref/prompt', name: 'translate' },
+    argument: { name: 'language', value: 'F' }
+  })
+
+  t.alike(result.completion.values, ['French', 'Finnish'])
+})
+
+test('completion/complete - throws for unknown template', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.handleRequest('completion/complete', {
+      ref: { type: 'ref/resource', uri: 'nope://{id}' },
+      argument: { name: 'id', value: '' }
+    })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+  }
+})
+
+test('handleRequest - initialize advertises completions capability', async (t) => {
+  const mcp = createMCPServer()
+
+  const result = await mcp.handleRequest('initialize', {})
+
+  t.ok(result.capabilities.completions)
+})
@@ -0,0 +1,117 @@
+import test from 'brittle'
+import {
+  createMCPServer,
+  textContent,
+  imageContent,
+  audioContent,
+  resourceLink,
+  embeddedResource
+} from '../index.js'
+
+test('content - textContent builds text item with annotations', async (t) => {
+  t.alike(textContent('hi'), { type: 'text', text: 'hi' })
+  t.alike(textContent('hi', { priority: 1 }), { type: 'text', text: 'hi', annotations: { priority: 1 } })
+})
+
+test('content - imageContent and audioContent base64-encode bytes', async (t) => {
+  t.alike(imageContent(new Uint8Array([1, 2, 3]), 'image/png'), {
+    type: 'image', data: 'AQID', mimeType: 'image/png'
+  })
+  t.alike(audioContent('AAAA', 'audio/wav', { audience: ['user'] }), {
+    type: 'audio', data: 'AAAA', mimeType: 'audio/wav', annotations: { audience: ['user'] }
+  })
+})
+
+test('content - resourceLink omits unset fields', async (t) => {
+  t.alike(resourceLink({ uri: 'file:///a.txt', name: 'a.txt' }), {
+    type: 'resource_link', uri: 'file:///a.txt', name: 'a.txt'
+  })
+  t.alike(resourceLink({ uri: 'file:///b.bin', name: 'b.bin', mimeType: 'application/octet-stream', size: 0 }), {
+    type: 'resource_link', uri: 'file:///b.bin', name: 'b.bin', mimeType: 'application/octet-stream', size: 0
+  })
+})
+
+test('content - embeddedResource wraps text and blob contents', async (t) => {
+  t.alike(embeddedResource({ uri: 'note://1', mimeType: 'text/plain', text: 'x' }, { priority: 0.2 }), {
+    type: 'resource',
+    resource: { uri: 'note://1', mimeType: 'text/plain', text: 'x' },
+    annotations: { priority: 0.2 }
+  })
+  t.alike(embeddedResource({ uri: 'bin://1', blob: new Uint8Array([255]) }), {
+    type: 'resource',
+    resource: { uri: 'bin://1', blob: '/w==' }
+  })
+})
+
+test('content - embedResource reads the server resource', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({
+    uri: 'config://app',
+    name: 'Config',
+    mimeType: 'application/json',
+    text: '{"a":1}',
+    annotations: { priority: 0.5 }
+  })
+  mcp.addTool({
+    name: 'show_config',
+    execute: async (args, ctx) => [await mcp.embedResource('config://app', undefined, ctx)]
+  })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'show_config' })
+
+  t.alike(result.content[0], {
+    type: 'resource',
+    resource: { uri: 'config://app', mimeType: 'application/json', text: '{"a":1}' },
+    annotations: { priority: 0.5 }
+  })
+})
+
+test('content - embedResource rejects unknown resources', async (t) => {
+  const mcp = createMCPServer()
+  await t.exception(() => mcp.embedResource('missing://x'), /Resource not found/)
+})
+
+test('content - tools/call accepts builder output', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'all',
+    execute: async () => ({
+      content: [
+        textContent('a'),
+        imageContent('AAAA', 'image/png'),
+        audioContent('AAAA', 'audio/wav'),
+        resourceLink({ uri: 'x://1', name: 'one' }),
+        embeddedResource({ uri: 'x://2', text: 'two' })
+      ]
+    })
+  })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'all' })
+  t.is(result.content.length, 5)
+})
+
+test('content - tools/call reports malformed content items', async (t) => {
+  const mcp = createMCPServer()
+  const cases = [
+    [[{ type: 'text' }], 'content[0].text: must be string'],
+    [[textContent('ok'), { type: 'image', data: 'AAAA' }], 'content[1].mimeType: must be string'],
+    [[{ type: 'video', data: 'x' }], 'content[0].type: unknown content type "video"'],
+    [[{ type: 'resource', resource: { uri: 'x://1' } }], 'content[0].resource: must have text or blob string'],
+    [['plain string'], 'content[0]: must be an object'],
+    [[{ type: 'text', text: 'x', annotations: 'high' }], 'content[0].annotations: must be an object']
+  ]
+
+  for (const [i, [content]] of cases.entries()) {
+    mcp.addTool({ name: `bad${i}`, execute: async () => content })
+  }
+
+  for (const [i, [, message]] of cases.entries()) {
+    try {
+      await mcp.handleRequest('tools/call', { name: `bad${i}` })
+      t.fail('should throw')
+    } catch (err) {
+      t.is(err.code, -32603)
+      t.is(err.message, message)
+    }
+  }
+})
@@ -0,0 +1,158 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+async function initClient(mcp, sessionId) {
+  await mcp.handleRequest('initialize', {
+    clientInfo: { name: `${sessionId}-app`, version: '1.0.0' },
+    _subscriberId: sessionId
+  })
+}
+
+test('context - tool execute receives full context', async (t) => {
+  const mcp = createMCPServer()
+  let ctx = null
+  mcp.addTool({ name: 'probe', execute: async (args, c) => { ctx = c; return 'ok' } })
+
+  await initClient(mcp, 'client-1')
+  await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 11, method: 'tools/call', params: { name: 'probe' } },
+    { sessionId: 'client-1' }
+  )
+
+  t.is(ctx.sessionId, 'client-1')
+  t.is(ctx.clientInfo.name, 'client-1-app')
+  t.is(ctx.session.id, 'client-1')
+  t.is(ctx.requestId, 11)
+  t.is(ctx.signal.aborted, false)
+  t.is(typeof ctx.progress, 'function')
+  t.is(typeof ctx.notify, 'function')
+  t.is(typeof ctx.log, 'function')
+  t.is(typeof ctx.createMessage, 'function')
+  t.is(typeof ctx.elicit, 'function')
+})
+
+test('context - dynamic resource read receives context', async (t) => {
+  const mcp = createMCPServer()
+  let ctx = null
+
+  mcp.addResource({
+    uri: 'me://profile',
+    name: 'Profile',
+    read: async (c) => {
+      ctx = c
+      return `Hello, ${c.clientInfo.name}`
+    }
+  })
+
+  await initClient(mcp, 'client-2')
+  const response = await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 'r1', method: 'resources/read', params: { uri: 'me://profile' } },
+    { sessionId: 'client-2' }
+  )
+
+  t.is(response.result.contents[0].text, 'Hello, client-2-app')
+  t.is(ctx.requestId, 'r1')
+  t.is(ctx.sessionId, 'client-2')
+})
+
+test('context - template read receives params and context', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'note://{id}',
+    name: 'Note',
+    read: async ({ id }, ctx) => `${ctx.sessionId}:${id}`
+  })
+
+  await initClient(mcp, 'client-3')
+  const result = await mcp.handleRequest('resources/read', { uri: 'note://42', _subscriberId: 'client-3' })
+
+  t.is(result.contents[0].text, 'client-3:42')
+})
+
+test('context - prompt get receives context', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'hello',
+    get: async (args, ctx) => `Hi from ${ctx.clientInfo.name}`
+  })
+
+  await initClient(mcp, 'client-4')
+  const result = await mcp.handleRequest('prompts/get', { name: 'hello', _subscriberId: 'client-4' })
+
+  t.is(result.messages[0].content.text, 'Hi from client-4-app')
+})
+
+test('context - notify targets the calling session', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+
+  mcp.addTool({
+    name: 'ping_me',
+    execute: async (args, ctx) => {
+      ctx.notify('notifications/custom', { hello: true })
+      return 'ok'
+    }
+  })
+
+  await mcp.handleRequest('tools/call', { name: 'ping_me', _subscriberId: 'client-5' })
+
+  t.is(received.length, 1)
+  t.is(received[0].method, 'notifications/custom')
+  t.is(received[0].targets.size, 1)
+  t.ok(received[0].targets.has('client-5'))
+})
+
+test('context - log goes only to the calling session', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+
+  await mcp.handleRequest('logging/setLevel', { level: 'debug', _subscriberId: 'client-6' })
+  await mcp.handleRequest('logging/setLevel', { level: 'debug', _subscriberId: 'client-7' })
+
+  mcp.addTool({
+    name: 'chatty',
+    execute: async (args, ctx) => {
+      ctx.log('info', 'working on it', 'chatty')
+      return 'ok'
+    }
+  })
+
+  await mcp.handleRequest('tools/call', { name: 'chatty', _subscriberId: 'client-6' })
+
+  t.is(received.length, 1)
+  t.is(received[0].method, 'notifications/message')
+  t.ok(received[0].targets.has('client-6'))
+  t.not(received[0].targets.has('client-7'))
+})
+
+test('readResource - works without a context', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResource({
+    uri: 'data://x',
+    name: 'X',
+    read: async (ctx) => ctx.sessionId
+  })
+
+  const content = await mcp.readResource('data://x')
+
+  t.is(content.text, 'default')
+})
+
+test('readResource - direct calls do not create a session', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'data://x', name: 'X', read: async (ctx) => ctx.clientInfo?.name || 'anonymous' })
+  mcp.addPrompt({ name: 'hello', get: async () => 'Hi' })
+
+  t.is((await mcp.readResource('data://x')).text, 'anonymous')
+  await mcp.embedResource('data://x')
+  await mcp.getPrompt('hello')
+  t.is(mcp.sessions.size, 0)
+
+  await initClient(mcp, 'default')
+  t.is((await mcp.readResource('data://x')).text, 'default-app')
+})
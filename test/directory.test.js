@@ -0,0 +1,164 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+import { fs, path } from '../lib/fs.js'
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01])
+
+// Build a fixture tree next to this file:
+//   <tmp>/site/readme.md, notes.txt, logo.png, data.bin, sub dir/deep.json,
+//   link-inside.md -> readme.md, link-outside.txt -> ../secret.txt
+//   <tmp>/secret.txt (outside the exposed root)
+async function createFixture(t) {
+  const base = path.join(decodeURIComponent(new URL('.', import.meta.url).pathname), `.tmp-directory-${Date.now()}-${Math.random().toString(36).slice(2)}`)
+  const root = path.join(base, 'site')
+  await fs.mkdir(path.join(root, 'sub dir'), { recursive: true })
+  await fs.writeFile(path.join(base, 'secret.txt'), 'top secret')
+  await fs.writeFile(path.join(root, 'readme.md'), '# Hello')
+  await fs.writeFile(path.join(root, 'notes.txt'), 'plain notes')
+  await fs.writeFile(path.join(root, 'logo.png'), PNG)
+  await fs.writeFile(path.join(root, 'data.bin'), new Uint8Array([1, 0, 2]))
+  await fs.writeFile(path.join(root, 'sub dir', 'deep.json'), '{"ok":true}')
+  await fs.symlink(path.join(root, 'readme.md'), path.join(root, 'link-inside.md'))
+  await fs.symlink(path.join(base, 'secret.txt'), path.join(root, 'link-outside.txt'))
+  t.teardown(() => fs.rm(base, { recursive: true, force: true }))
+  return root
+}
+
+test('directory - lists files in resources/list', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'static://first', name: 'first', text: 'x' })
+  await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  const { resources } = await mcp.handleRequest('resources/list', {})
+
+  t.alike(resources.map(r => r.uri), [
+    'static://first',
+    'site://data.bin',
+    'site://link-inside.md',
+    'site://logo.png',
+    'site://notes.txt',
+    'site://readme.md',
+    'site://sub%20dir/deep.json'
+  ])
+  const readme = resources.find(r => r.uri === 'site://readme.md')
+  t.is(readme.name, 'readme.md')
+  t.is(readme.mimeType, 'text/markdown')
+  t.is(readme.size, 7)
+  t.is(resources.find(r => r.uri === 'site://sub%20dir/deep.json').name, 'sub dir/deep.json')
+})
+
+test('directory - reads text and binary files', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  const readme = await mcp.readResource('site://readme.md')
+  t.is(readme.text, '# Hello')
+  t.is(readme.mimeType, 'text/markdown')
+
+  const deep = await mcp.readResource('site://sub%20dir/deep.json')
+  t.is(deep.text, '{"ok":true}')
+  t.is(deep.mimeType, 'application/json')
+
+  const logo = await mcp.readResource('site://logo.png')
+  t.is(logo.mimeType, 'image/png')
+  t.is(logo.blob, 'iVBORwAB')
+  t.absent(logo.text)
+
+  const data = await mcp.readResource('site://data.bin')
+  t.is(data.mimeType, 'application/octet-stream')
+  t.is(data.blob, 'AQAC')
+
+  const link = await mcp.readResource('site://link-inside.md')
+  t.is(link.text, '# Hello')
+})
+
+test('directory - rejects .. and symlinks escaping the root', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  for (const uri of ['site://../secret.txt', 'site://sub%20dir/../../secret.txt', 'site://%2e%2e/secret.txt', 'site://link-outside.txt']) {
+    try {
+      await mcp.readResource(uri)
+      t.fail(`should reject ${uri}`)
+    } catch (err) {
+      t.is(err.code, ErrorCode.INVALID_PARAMS, uri)
+      t.ok(err.message.includes('escapes directory root'))
+    }
+  }
+
+  const { resources } = await mcp.handleRequest('resources/list', {})
+  t.absent(resources.some(r => r.uri.includes('link-outside')))
+})
+
+test('directory - missing files and directories are not found', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  for (const uri of ['site://missing.txt', 'site://sub%20dir']) {
+    try {
+      await mcp.readResource(uri)
+      t.fail(`should not find ${uri}`)
+    } catch (err) {
+      t.is(err.code, ErrorCode.RESOURCE_NOT_FOUND, uri)
+    }
+  }
+})
+
+test('directory - default uriPrefix is the root file URL', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  await mcp.addDirectory({ root })
+
+  const { resourceTemplates } = await mcp.handleRequest('resources/templates/list', {})
+  t.ok(resourceTemplates[0].uriTemplate.startsWith('file:///'))
+  t.ok(resourceTemplates[0].uriTemplate.endsWith('/site/{+path}'))
+  t.is(resourceTemplates[0].name, 'site')
+
+  const uri = resourceTemplates[0].uriTemplate.replace('{+path}', 'notes.txt')
+  t.is((await mcp.readResource(uri)).text, 'plain notes')
+})
+
+test('directory - listed resources are paginated after registered ones', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer({ pageSize: 3 })
+  mcp.addResource({ uri: 'static://a', name: 'a', text: 'a' })
+  mcp.addResource({ uri: 'static://b', name: 'b', text: 'b' })
+  await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  const uris = []
+  let cursor
+  do {
+    const page = await mcp.handleRequest('resources/list', cursor ? { cursor } : {})
+    t.ok(page.resources.length <= 3)
+    uris.push(...page.resources.map(r => r.uri))
+    cursor = page.nextCursor
+  } while (cursor)
+
+  t.is(uris.length, 8)
+  t.is(new Set(uris).size, 8)
+  t.alike(uris.slice(0, 2), ['static://a', 'static://b'])
+})
+
+test('directory - handle removes the provider', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+  const handle = await mcp.addDirectory({ root, uriPrefix: 'site://' })
+
+  handle.remove()
+
+  t.is((await mcp.handleRequest('resources/list', {})).resources.length, 0)
+  await t.exception(() => mcp.readResource('site://readme.md'), /Resource not found/)
+})
+
+test('directory - invalid options', async (t) => {
+  const root = await createFixture(t)
+  const mcp = createMCPServer()
+
+  await t.exception(() => mcp.addDirectory({}), /must have root/)
+  await t.exception(() => mcp.addDirectory({ root: path.join(root, 'readme.md') }), /not a directory/)
+  await t.exception(() => mcp.addDirectory({ root, uriPrefix: 'site://{x}/' }), /must not contain/)
+})
@@ -0,0 +1,114 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+const schema = {
+  type: 'object',
+  properties: {
+    confirm: { type: 'boolean' },
+    reason: { type: 'string', default: 'none given' }
+  },
+  required: ['confirm']
+}
+
+// Simulated client that answers elicitation/create with a fixed result
+function connect(mcp, result) {
+  const sent = []
+  mcp.setRequestCallback((message, sessionId) => {
+    sent.push({ message, sessionId })
+    queueMicrotask(() => mcp.handleResponse({ jsonrpc: '2.0', id: message.id, result }, sessionId))
+  })
+  return sent
+}
+
+async function init(mcp, capabilities, sessionId = 'client-1') {
+  await mcp.handleRequest('initialize', { capabilities, _subscriberId: sessionId })
+}
+
+test('elicit - returns validated content on accept', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, { action: 'accept', content: { confirm: true } })
+  await init(mcp, { elicitation: {} })
+
+  const answer = await mcp.elicit({ message: 'Proceed?', requestedSchema: schema }, 'client-1')
+
+  t.is(answer.action, 'accept')
+  t.is(answer.content.confirm, true)
+  t.is(answer.content.reason, 'none given') // default applied
+  t.is(sent[0].message.method, 'elicitation/create')
+  t.is(sent[0].message.params.message, 'Proceed?')
+  t.alike(sent[0].message.params.requestedSchema, schema)
+})
+
+test('elicit - returns action only on decline or cancel', async (t) => {
+  for (const action of ['decline', 'cancel']) {
+    const mcp = createMCPServer()
+    connect(mcp, { action })
+    await init(mcp, { elicitation: {} })
+
+    const answer = await mcp.elicit({ message: 'Proceed?', requestedSchema: schema }, 'client-1')
+
+    t.is(answer.action, action)
+    t.absent(answer.content)
+  }
+})
+
+test('elicit - rejects content that does not match schema', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp, { action: 'accept', content: { confirm: 'yes' } })
+  await init(mcp, { elicitation: {} })
+
+  try {
+    await mcp.elicit({ message: 'Proceed?', requestedSchema: schema }, 'client-1')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+    t.ok(err.message.includes('confirm'))
+  }
+})
+
+test('elicit - rejects unknown action', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp, { action: 'maybe' })
+  await init(mcp, { elicitation: {} })
+
+  try {
+    await mcp.elicit({ message: 'Proceed?', requestedSchema: schema }, 'client-1')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('Invalid elicitation action'))
+  }
+})
+
+test('elicit - requires elicitation capability', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, { action: 'accept', content: { confirm: true } })
+  await init(mcp, { sampling: {} })
+
+  try {
+    await mcp.elicit({ message: 'Proceed?', requestedSchema: schema }, 'client-1')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_REQUEST)
+    t.ok(err.message.includes('elicitation'))
+  }
+  t.is(sent.length, 0)
+})
+
+test('tools/call - execute can elicit from the calling client', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, { action: 'accept', content: { confirm: false } })
+
+  mcp.addTool({
+    name: 'delete_files',
+    execute: async (args, ctx) => {
+      const answer = await ctx.elicit({ message: 'Delete files?', requestedSchema: schema })
+      return answer.action === 'accept' && answer.content.confirm ? 'deleted' : 'kept'
+    }
+  })
+
+  await init(mcp, { elicitation: {} }, 'client-2')
+  const result = await mcp.handleRequest('tools/call', { name: 'delete_files', _subscriberId: 'client-2' })
+
+  t.is(result.content[0].text, 'kept')
+  t.is(sent[0].sessionId, 'client-2')
+})
@@ -0,0 +1,105 @@
+import test from 'brittle'
+import { createMCPServer, MCPError, ErrorCode } from '../index.js'
+
+function addFailingTool(mcp, extra = {}) {
+  mcp.addTool({
+    name: 'fail',
+    inputSchema: {
+      type: 'object',
+      properties: { id: { type: 'string' } },
+      required: ['id']
+    },
+    execute: async () => { throw new Error('Disk full') },
+    ...extra
+  })
+}
+
+test('tool errors - execution errors are JSON-RPC errors by default', async (t) => {
+  const mcp = createMCPServer()
+  addFailingTool(mcp)
+
+  try {
+    await mcp.handleRequest('tools/call', { name: 'fail', arguments: { id: 'a' } })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INTERNAL_ERROR)
+    t.is(err.message, 'Disk full')
+  }
+})
+
+test('tool errors - toolErrorsAsResults returns isError result', async (t) => {
+  const mcp = createMCPServer({ toolErrorsAsResults: true })
+  addFailingTool(mcp)
+
+  const result = await mcp.handleRequest('tools/call', { name: 'fail', arguments: { id: 'a' } })
+
+  t.alike(result, { content: [{ type: 'text', text: 'Disk full' }], isError: true })
+})
+
+test('tool errors - per-tool errorsAsResults overrides the server option', async (t) => {
+  const on = createMCPServer()
+  addFailingTool(on, { errorsAsResults: true })
+  const result = await on.handleRequest('tools/call', { name: 'fail', arguments: { id: 'a' } })
+  t.is(result.isError, true)
+
+  const off = createMCPServer({ toolErrorsAsResults: true })
+  addFailingTool(off, { errorsAsResults: false })
+  await t.exception(
+    () => off.handleRequest('tools/call', { name: 'fail', arguments: { id: 'a' } }),
+    /Disk full/
+  )
+})
+
+test('tool errors - protocol errors stay JSON-RPC errors', async (t) => {
+  const mcp = createMCPServer({ toolErrorsAsResults: true })
+  addFailingTool(mcp)
+  mcp.addTool({
+    name: 'strict',
+    execute: async () => { throw new MCPError(ErrorCode.INVALID_PARAMS, 'Bad range') }
+  })
+
+  const cases = [
+    [{ name: 'missing' }, /Unknown tool/],
+    [{ name: 'fail', arguments: {} }, /id: required/],
+    [{ name: 'strict' }, /Bad range/]
+  ]
+  for (const [params, pattern] of cases) {
+    try {
+      await mcp.handleRequest('tools/call', params)
+      t.fail('Should have thrown')
+    } catch (err) {
+      t.is(err.code, ErrorCode.INVALID_PARAMS)
+      t.ok(pattern.test(err.message))
+    }
+  }
+})
+
+test('tool errors - activity records errorType', async (t) => {
+  const mcp = createMCPServer({ toolErrorsAsResults: true })
+  const activities = []
+  mcp.setActivityCallback((entry) => activities.push(entry))
+  addFailingTool(mcp)
+
+  await mcp.handleRequest('tools/call', { name: 'fail', arguments: { id: 'a' } })
+  await mcp.handleRequest('tools/call', { name: 'fail', arguments: {} }).catch(() => {})
+  await mcp.handleRequest('tools/call', { name: 'missing' }).catch(() => {})
+
+  t.is(activities.length, 3)
+  t.is(activities[0].success, false)
+  t.is(activities[0].errorType, 'execution')
+  t.is(activities[0].error, 'Disk full')
+  t.is(activities[1].errorType, 'protocol')
+  t.is(activities[2].errorType, 'protocol')
+})
+
+test('tool errors - successful calls have no errorType', async (t) => {
+  const mcp = createMCPServer()
+  const activities = []
+  mcp.setActivityCallback((entry) => activities.push(entry))
+  mcp.addTool({ name: 'ok', execute: async () => 'fine' })
+
+  await mcp.handleRequest('tools/call', { name: 'ok' })
+
+  t.is(activities[0].success, true)
+  t.absent(activities[0].errorType)
+})
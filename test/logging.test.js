@@ -0,0 +1,102 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode, LOG_LEVELS } from '../index.js'
+
+test('LOG_LEVELS - syslog severities in ascending order', async (t) => {
+  t.is(LOG_LEVELS.length, 8)
+  t.is(LOG_LEVELS[0], 'debug')
+  t.is(LOG_LEVELS[7], 'emergency')
+})
+
+test('handleRequest - initialize advertises logging capability', async (t) => {
+  const mcp = createMCPServer()
+
+  const result = await mcp.handleRequest('initialize', {})
+
+  t.ok(result.capabilities.logging)
+})
+
+test('logging/setLevel - stores level per session', async (t) => {
+  const mcp = createMCPServer()
+
+  await mcp.handleRequest('logging/setLevel', { level: 'warning', _subscriberId: 'client-1' })
+  await mcp.handleRequest('logging/setLevel', { level: 'debug', _subscriberId: 'client-2' })
+
+  t.is(mcp.getSession('client-1').logLevel, 'warning')
+  t.is(mcp.getSession('client-2').logLevel, 'debug')
+})
+
+test('logging/setLevel - rejects invalid level', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.handleRequest('logging/setLevel', { level: 'verbose' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+  }
+})
+
+test('log - sends notifications/message to sessions at or below level', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+
+  mcp.setNotificationCallback((method, params, targets) => {
+    received.push({ method, params, targets })
+  })
+
+  await mcp.handleRequest('logging/setLevel', { level: 'error', _subscriberId: 'client-1' })
+  await mcp.handleRequest('logging/setLevel', { level: 'info', _subscriberId: 'client-2' })
+
+  mcp.log('warning', { msg: 'disk almost full' }, 'storage')
+
+  t.is(received.length, 1)
+  t.is(received[0].method, 'notifications/message')
+  t.is(received[0].params.level, 'warning')
+  t.is(received[0].params.logger, 'storage')
+  t.is(received[0].params.data.msg, 'disk almost full')
+  t.ok(received[0].targets.has('client-2'))
+  t.not(received[0].targets.has('client-1'))
+})
+
+test('log - does not send when no session enabled logging', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+
+  mcp.setNotificationCallback((method, params, targets) => {
+    received.push({ method, params, targets })
+  })
+
+  mcp.log('emergency', 'nobody listening')
+
+  t.is(received.length, 0)
+})
+
+test('log - filters messages below the session level', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+
+  mcp.setNotificationCallback((method, params, targets) => {
+    received.push({ method, params, targets })
+  })
+
+  await mcp.handleRequest('logging/setLevel', { level: 'notice' })
+
+  mcp.log('debug', 'too chatty')
+  mcp.log('info', 'still too chatty')
+  mcp.log('notice', 'just right')
+
+  t.is(received.length, 1)
+  t.is(received[0].params.data, 'just right')
+  t.absent(received[0].params.logger)
+})
+
+test('log - throws for invalid level', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    mcp.log('loud', 'hello')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('Invalid log level'))
+  }
+})
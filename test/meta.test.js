@@ -0,0 +1,110 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+const UI_META = { 'com.example/ui': { widget: 'table' } }
+
+test('_meta - definitions keep _meta in list results', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'query', _meta: UI_META, execute: async () => '' })
+  mcp.addResource({ uri: 'db://users', name: 'users', text: '[]', _meta: UI_META })
+  mcp.addResourceTemplate({ uriTemplate: 'db://{table}', name: 'table', read: async () => '', _meta: UI_META })
+  mcp.addTool({ name: 'plain', execute: async () => '' })
+
+  const tools = await mcp.handleRequest('tools/list', {})
+  const resources = await mcp.handleRequest('resources/list', {})
+  const templates = await mcp.handleRequest('resources/templates/list', {})
+
+  t.alike(tools.tools[0]._meta, UI_META)
+  t.absent(tools.tools[1]._meta)
+  t.alike(resources.resources[0]._meta, UI_META)
+  t.alike(templates.resourceTemplates[0]._meta, UI_META)
+})
+
+test('_meta - reserved keys are dropped from definitions', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'query',
+    _meta: {
+      progressToken: 'x',
+      'io.modelcontextprotocol/related-task': { taskId: 'fake' },
+      'dev.mcp/anything': 1,
+      'com.example/keep': true,
+      plain: 'kept'
+    },
+    execute: async () => ''
+  })
+  mcp.addTool({ name: 'only-reserved', _meta: { progressToken: 'x' }, execute: async () => '' })
+
+  const { tools } = await mcp.handleRequest('tools/list', {})
+
+  t.alike(tools[0]._meta, { 'com.example/keep': true, plain: 'kept' })
+  t.absent(tools[1]._meta)
+})
+
+test('_meta - tool results carry _meta to the client', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'query',
+    execute: async () => ({
+      content: [{ type: 'text', text: '3 rows' }],
+      _meta: { ...UI_META, progressToken: 'leak' }
+    })
+  })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'query' })
+
+  t.alike(result._meta, UI_META)
+})
+
+test('_meta - task results keep the library related-task key', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'query',
+    taskSupport: 'optional',
+    execute: async () => ({
+      content: [{ type: 'text', text: 'done' }],
+      _meta: { ...UI_META, 'io.modelcontextprotocol/related-task': { taskId: 'spoofed' } }
+    })
+  })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'query', task: {} })
+  const result = await mcp.handleRequest('tasks/result', { taskId: task.taskId })
+
+  t.alike(result._meta['com.example/ui'], UI_META['com.example/ui'])
+  t.is(result._meta['io.modelcontextprotocol/related-task'].taskId, task.taskId)
+})
+
+test('_meta - read results carry _meta on content items', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({
+    uri: 'db://users',
+    name: 'users',
+    read: async () => ({ text: '[]', _meta: { ...UI_META, progressToken: 'leak' } })
+  })
+  mcp.addResource({
+    uri: 'db://avatar',
+    name: 'avatar',
+    read: async () => ({ blob: new Uint8Array([1]), _meta: UI_META })
+  })
+
+  const users = await mcp.handleRequest('resources/read', { uri: 'db://users' })
+  const avatar = await mcp.handleRequest('resources/read', { uri: 'db://avatar' })
+
+  t.alike(users.contents[0]._meta, UI_META)
+  t.alike(avatar.contents[0]._meta, UI_META)
+})
+
+test('_meta - ctx.meta exposes request _meta without reserved keys', async (t) => {
+  const mcp = createMCPServer()
+  let meta
+  mcp.addTool({ name: 'probe', execute: async (args, ctx) => { meta = ctx.meta; return '' } })
+
+  await mcp.handleRequest('tools/call', {
+    name: 'probe',
+    _meta: { progressToken: 'p1', 'com.example/trace': 'abc' }
+  })
+  t.alike(meta, { 'com.example/trace': 'abc' })
+
+  await mcp.handleRequest('tools/call', { name: 'probe', _meta: { progressToken: 'p2' } })
+  t.is(meta, null)
+})
@@ -186,6 +186,75 @@ test('unsubscribe - non-existent subscription is safe', async (t) => {
   t.pass()
 })
 
+test('notifyResourceUpdated - reaches subscribers of a matching template', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+  mcp.addResourceTemplate({ uriTemplate: 'user://{id}', name: 'User', read: async ({ id }) => id })
+
+  mcp.subscribe('user://{id}', 'client-1')
+  mcp.subscribe('order://{id}', 'client-2') // not a registered template
+
+  mcp.notifyResourceUpdated('user://42')
+  mcp.notifyResourceUpdated('order://7')
+
+  t.is(received.length, 1)
+  t.is(received[0].params.uri, 'user://42')
+  t.ok(received[0].targets.has('client-1'))
+})
+
+test('notifyResourceUpdated - reaches prefix subscribers', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+
+  mcp.subscribe('file:///project/', 'client-1', { prefix: true })
+
+  mcp.notifyResourceUpdated('file:///project/src/index.js')
+  mcp.notifyResourceUpdated('file:///other/readme.md')
+
+  t.is(received.length, 1)
+  t.is(received[0].params.uri, 'file:///project/src/index.js')
+  t.ok(received[0].targets.has('client-1'))
+
+  // An exact subscription to the prefix string does not cover longer URIs
+  mcp.unsubscribe('file:///project/', 'client-1', { prefix: true })
+  mcp.subscribe('file:///project/', 'client-1')
+  mcp.notifyResourceUpdated('file:///project/src/index.js')
+  t.is(received.length, 1)
+})
+
+test('notifyResourceUpdated - one notification per subscriber when several subscriptions match', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+  mcp.addResourceTemplate({ uriTemplate: 'user://{id}', name: 'User', read: async ({ id }) => id })
+
+  mcp.subscribe('user://42', 'client-1')
+  mcp.subscribe('user://{id}', 'client-1')
+  mcp.subscribe('user://', 'client-1', { prefix: true })
+  mcp.subscribe('user://{id}', 'client-2')
+
+  mcp.notifyResourceUpdated('user://42')
+
+  t.is(received.length, 1)
+  t.alike([...received[0].targets].sort(), ['client-1', 'client-2'])
+})
+
+test('resources/subscribe - prefix param and closeSession cleanup', async (t) => {
+  const mcp = createMCPServer()
+
+  await mcp.handleRequest('resources/subscribe', { uri: 'logs://', prefix: true, _subscriberId: 'client-1' })
+  t.ok(mcp.getSubscribers('logs://app/today').has('client-1'))
+
+  await mcp.handleRequest('resources/unsubscribe', { uri: 'logs://', prefix: true, _subscriberId: 'client-1' })
+  t.is(mcp.getSubscribers('logs://app/today').size, 0)
+
+  await mcp.handleRequest('resources/subscribe', { uri: 'logs://', prefix: true, _subscriberId: 'client-1' })
+  mcp.closeSession('client-1')
+  t.is(mcp.prefixSubscriptions.size, 0)
+})
+
 test('activity callback - records tool calls', async (t) => {
   const mcp = createMCPServer()
   const activities = []
@@ -232,6 +301,30 @@ test('activity callback - records failed tool calls', async (t) => {
   t.ok(activities[0].error.includes('Intentional failure'))
 })
 
+test('activity callback - includes session and client info', async (t) => {
+  const mcp = createMCPServer()
+  const activities = []
+
+  mcp.setActivityCallback((entry) => {
+    activities.push(entry)
+  })
+
+  mcp.addTool({
+    name: 'test',
+    execute: async () => 'ok'
+  })
+
+  await mcp.handleRequest('initialize', {
+    clientInfo: { name: 'test-client', version: '0.9.0' },
+    _subscriberId: 'client-1'
+  })
+  await mcp.handleRequest('tools/call', { name: 'test', _subscriberId: 'client-1' })
+
+  t.is(activities[0].sessionId, 'client-1')
+  t.is(activities[0].client.name, 'test-client')
+  t.is(activities[0].client.version, '0.9.0')
+})
+
 // ===== Client-to-Server Notifications =====
 // These are notifications sent by MCP clients that servers must handle.
 
@@ -0,0 +1,114 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+function addTools(mcp, names) {
+  for (const name of names) {
+    mcp.addTool({ name, execute: async () => name })
+  }
+}
+
+async function listAll(mcp, method, key) {
+  const items = []
+  let cursor
+  do {
+    const result = await mcp.handleRequest(method, cursor ? { cursor } : {})
+    items.push(...result[key])
+    cursor = result.nextCursor
+  } while (cursor)
+  return items
+}
+
+test('pagination - no nextCursor when everything fits', async (t) => {
+  const mcp = createMCPServer()
+  addTools(mcp, ['a', 'b'])
+
+  const result = await mcp.handleRequest('tools/list', {})
+
+  t.is(result.tools.length, 2)
+  t.absent(result.nextCursor)
+})
+
+test('pagination - default page size is 100', async (t) => {
+  const mcp = createMCPServer()
+  t.is(mcp.pageSize, 100)
+
+  for (let i = 0; i < 150; i++) {
+    mcp.addResource({ uri: `data://${i}`, name: `Item ${i}`, text: String(i) })
+  }
+
+  const first = await mcp.handleRequest('resources/list', {})
+  t.is(first.resources.length, 100)
+  t.ok(first.nextCursor)
+
+  const second = await mcp.handleRequest('resources/list', { cursor: first.nextCursor })
+  t.is(second.resources.length, 50)
+  t.is(second.resources[0].uri, 'data://100')
+  t.absent(second.nextCursor)
+})
+
+test('pagination - walks tools in registration order', async (t) => {
+  const mcp = createMCPServer({ pageSize: 2 })
+  addTools(mcp, ['a', 'b', 'c', 'd', 'e'])
+
+  const tools = await listAll(mcp, 'tools/list', 'tools')
+
+  t.alike(tools.map(t => t.name), ['a', 'b', 'c', 'd', 'e'])
+})
+
+test('pagination - stable when items are removed between pages', async (t) => {
+  const mcp = createMCPServer({ pageSize: 2 })
+  addTools(mcp, ['a', 'b', 'c', 'd', 'e'])
+
+  const first = await mcp.handleRequest('tools/list', {})
+  t.alike(first.tools.map(t => t.name), ['a', 'b'])
+
+  // Remove the last item of the page and the first item of the next page
+  mcp.tools.delete('b')
+  mcp.tools.delete('c')
+
+  const second = await mcp.handleRequest('tools/list', { cursor: first.nextCursor })
+  t.alike(second.tools.map(t => t.name), ['d', 'e'])
+})
+
+test('pagination - stable when items are added between pages', async (t) => {
+  const mcp = createMCPServer({ pageSize: 2 })
+  addTools(mcp, ['a', 'b', 'c'])
+
+  const first = await mcp.handleRequest('tools/list', {})
+  addTools(mcp, ['d'])
+  mcp.addTool({ name: 'a', description: 'replaced', execute: async () => 'a' })
+
+  const second = await mcp.handleRequest('tools/list', { cursor: first.nextCursor })
+  t.alike(second.tools.map(t => t.name), ['c', 'd'])
+})
+
+test('pagination - resources/templates/list and prompts/list paginate', async (t) => {
+  const mcp = createMCPServer({ pageSize: 1 })
+  mcp.addResourceTemplate({ uriTemplate: 'a://{id}', name: 'A', read: async () => '' })
+  mcp.addResourceTemplate({ uriTemplate: 'b://{id}', name: 'B', read: async () => '' })
+  mcp.addPrompt({ name: 'p1', get: async () => '1' })
+  mcp.addPrompt({ name: 'p2', get: async () => '2' })
+
+  const templates = await listAll(mcp, 'resources/templates/list', 'resourceTemplates')
+  const prompts = await listAll(mcp, 'prompts/list', 'prompts')
+
+  t.alike(templates.map(t => t.uriTemplate), ['a://{id}', 'b://{id}'])
+  t.alike(prompts.map(p => p.name), ['p1', 'p2'])
+})
+
+test('pagination - rejects invalid cursor', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.handleRequest('tools/list', { cursor: 'not a cursor!' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+  }
+})
+
+test('pagination - rejects invalid pageSize', async (t) => {
+  for (const pageSize of [0, -1, 2.5, '10', NaN]) {
+    t.exception(() => createMCPServer({ pageSize }), /pageSize must be a positive integer/)
+  }
+})
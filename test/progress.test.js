@@ -0,0 +1,103 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+function collect(mcp) {
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => {
+    received.push({ method, params, targets })
+  })
+  return received
+}
+
+function addStepsTool(mcp) {
+  mcp.addTool({
+    name: 'steps',
+    execute: async (args, ctx) => {
+      ctx.progress(1, 3, 'Downloading')
+      ctx.progress(2, 3, 'Parsing')
+      ctx.progress(3, 3)
+      return 'done'
+    }
+  })
+}
+
+test('progress - reports with the client progressToken', async (t) => {
+  const mcp = createMCPServer()
+  const received = collect(mcp)
+  addStepsTool(mcp)
+
+  await mcp.handleRequest('tools/call', {
+    name: 'steps',
+    _meta: { progressToken: 'tok-1' },
+    _subscriberId: 'client-1'
+  })
+
+  t.is(received.length, 3)
+  t.is(received[0].method, 'notifications/progress')
+  t.alike(received[0].params, { progressToken: 'tok-1', progress: 1, total: 3, message: 'Downloading' })
+  t.is(received[2].params.progress, 3)
+  t.absent(received[2].params.message)
+})
+
+test('progress - targets only the calling session', async (t) => {
+  const mcp = createMCPServer()
+  const received = collect(mcp)
+  addStepsTool(mcp)
+
+  await mcp.handleRequest('tools/call', {
+    name: 'steps',
+    _meta: { progressToken: 42 },
+    _subscriberId: 'client-1'
+  })
+
+  for (const { targets } of received) {
+    t.is(targets.size, 1)
+    t.ok(targets.has('client-1'))
+  }
+})
+
+test('progress - no-op without a progressToken', async (t) => {
+  const mcp = createMCPServer()
+  const received = collect(mcp)
+  addStepsTool(mcp)
+
+  const result = await mcp.handleRequest('tools/call', { name: 'steps' })
+
+  t.is(result.content[0].text, 'done')
+  t.is(received.length, 0)
+})
+
+test('progress - rejects values that do not increase', async (t) => {
+  const mcp = createMCPServer()
+  const received = collect(mcp)
+  let error = null
+
+  mcp.addTool({
+    name: 'backwards',
+    execute: async (args, ctx) => {
+      ctx.progress(50)
+      try {
+        ctx.progress(50)
+      } catch (err) {
+        error = err
+      }
+      return 'ok'
+    }
+  })
+
+  await mcp.handleRequest('tools/call', { name: 'backwards', _meta: { progressToken: 't' } })
+
+  t.ok(error)
+  t.ok(error.message.includes('Progress must increase'))
+  t.is(received.length, 1)
+})
+
+test('notifyProgress - includes optional message', async (t) => {
+  const mcp = createMCPServer()
+  const received = collect(mcp)
+
+  mcp.notifyProgress('upload', 10, 100, 'client-1', 'Uploading chunk 1')
+
+  t.is(received[0].params.message, 'Uploading chunk 1')
+  t.ok(received[0].targets.has('client-1'))
+})
@@ -0,0 +1,160 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+test('addPrompt - registers a prompt', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'review',
+    description: 'Review code',
+    arguments: [{ name: 'code', required: true }],
+    get: async ({ code }) => `Review: ${code}`
+  })
+
+  t.is(mcp.prompts.size, 1)
+  t.is(mcp.prompts.get('review').arguments.length, 1)
+})
+
+test('addPrompt - throws without get', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    mcp.addPrompt({ name: 'broken' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('get'))
+  }
+})
+
+test('addPrompts - registers multiple prompts', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompts([
+    { name: 'a', get: async () => 'A' },
+    { name: 'b', get: async () => 'B' }
+  ])
+
+  t.is(mcp.prompts.size, 2)
+})
+
+test('handleRequest - prompts/list returns prompts with arguments', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'summarize',
+    title: 'Summarize',
+    description: 'Summarize text',
+    arguments: [
+      { name: 'text', description: 'Text to summarize', required: true },
+      { name: 'style', required: false }
+    ],
+    get: async ({ text }) => text
+  })
+
+  const result = await mcp.handleRequest('prompts/list', {})
+
+  t.is(result.prompts.length, 1)
+  t.is(result.prompts[0].name, 'summarize')
+  t.is(result.prompts[0].title, 'Summarize')
+  t.is(result.prompts[0].description, 'Summarize text')
+  t.is(result.prompts[0].arguments.length, 2)
+  t.is(result.prompts[0].arguments[0].required, true)
+  t.absent(result.prompts[0].get)
+})
+
+test('handleRequest - prompts/get wraps string as user message', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'greet',
+    description: 'Greeting prompt',
+    arguments: [{ name: 'name', required: true }],
+    get: async ({ name }) => `Say hello to ${name}`
+  })
+
+  const result = await mcp.handleRequest('prompts/get', {
+    name: 'greet',
+    arguments: { name: 'Alice' }
+  })
+
+  t.is(result.description, 'Greeting prompt')
+  t.is(result.messages.length, 1)
+  t.is(result.messages[0].role, 'user')
+  t.is(result.messages[0].content.type, 'text')
+  t.is(result.messages[0].content.text, 'Say hello to Alice')
+})
+
+test('handleRequest - prompts/get passes through messages', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'chat',
+    get: async () => ({
+      description: 'A short chat',
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Hi' } },
+        { role: 'assistant', content: { type: 'text', text: 'Hello!' } }
+      ]
+    })
+  })
+
+  const result = await mcp.handleRequest('prompts/get', { name: 'chat' })
+
+  t.is(result.description, 'A short chat')
+  t.is(result.messages.length, 2)
+  t.is(result.messages[1].role, 'assistant')
+})
+
+test('handleRequest - prompts/get rejects missing required argument', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addPrompt({
+    name: 'greet',
+    arguments: [{ name: 'name', required: true }],
+    get: async ({ name }) => `Hello ${name}`
+  })
+
+  try {
+    await mcp.handleRequest('prompts/get', { name: 'greet', arguments: {} })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+    t.ok(err.message.includes('name'))
+  }
+})
+
+test('handleRequest - prompts/get throws for unknown prompt', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.handleRequest('prompts/get', { name: 'nope' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+    t.ok(err.message.includes('Unknown prompt'))
+  }
+})
+
+test('handleRequest - initialize advertises prompts capability', async (t) => {
+  const mcp = createMCPServer()
+
+  const result = await mcp.handleRequest('initialize', {})
+
+  t.ok(result.capabilities.prompts)
+  t.is(result.capabilities.prompts.listChanged, true)
+})
+
+test('notifyPromptListChanged - broadcasts to all', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+
+  mcp.setNotificationCallback((method, params, targets) => {
+    received.push({ method, params, targets })
+  })
+
+  mcp.notifyPromptListChanged()
+
+  t.is(received.length, 1)
+  t.is(received[0].method, 'notifications/prompts/list_changed')
+  t.is(received[0].targets, null)
+})
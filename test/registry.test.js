@@ -0,0 +1,161 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+const settle = (ms = 30) => new Promise(resolve => setTimeout(resolve, ms))
+
+function collectNotifications(mcp) {
+  const received = []
+  mcp.setNotificationCallback((method) => received.push(method))
+  return received
+}
+
+test('registry - removeTool hides the tool from list and call', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'a', execute: async () => 'a' })
+  mcp.addTool({ name: 'b', execute: async () => 'b' })
+
+  t.is(mcp.removeTool('a'), true)
+  t.is(mcp.removeTool('a'), false)
+
+  const list = await mcp.handleRequest('tools/list', {})
+  t.alike(list.tools.map(tool => tool.name), ['b'])
+  await t.exception(() => mcp.handleRequest('tools/call', { name: 'a' }), /Unknown tool/)
+})
+
+test('registry - removeResource and removeResourceTemplate', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addResource({ uri: 'data://a', name: 'A', text: 'a' })
+  mcp.addResourceTemplate({ uriTemplate: 'user://{id}', name: 'User', read: async ({ id }) => id })
+
+  t.is(await mcp.readResource('user://1').then(c => c.text), '1')
+
+  t.is(mcp.removeResource('data://a'), true)
+  t.is(mcp.removeResourceTemplate('user://{id}'), true)
+
+  await t.exception(() => mcp.readResource('data://a'), /Resource not found/)
+  await t.exception(() => mcp.readResource('user://1'), /Resource not found/)
+  t.is((await mcp.handleRequest('resources/templates/list', {})).resourceTemplates.length, 0)
+})
+
+test('registry - disable and enable keep the list position', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'first', execute: async () => '' })
+  const handle = mcp.addTool({ name: 'second', execute: async () => 'ok' })
+  mcp.addTool({ name: 'third', execute: async () => '' })
+
+  handle.disable()
+  t.is(handle.enabled, false)
+  t.alike((await mcp.handleRequest('tools/list', {})).tools.map(tool => tool.name), ['first', 'third'])
+  await t.exception(() => mcp.handleRequest('tools/call', { name: 'second' }), /Unknown tool/)
+
+  handle.enable()
+  t.is(handle.enabled, true)
+  t.alike((await mcp.handleRequest('tools/list', {})).tools.map(tool => tool.name), ['first', 'second', 'third'])
+  t.is((await mcp.handleRequest('tools/call', { name: 'second' })).content[0].text, 'ok')
+})
+
+test('registry - disabled template stops matching', async (t) => {
+  const mcp = createMCPServer()
+  const handle = mcp.addResourceTemplate({ uriTemplate: 'item://{id}', name: 'Item', read: async ({ id }) => id })
+
+  handle.disable()
+  await t.exception(() => mcp.readResource('item://1'), /Resource not found/)
+
+  handle.enable()
+  t.is((await mcp.readResource('item://1')).text, '1')
+})
+
+test('registry - handle.remove cannot be undone by enable', async (t) => {
+  const mcp = createMCPServer()
+  const handle = mcp.addResource({ uri: 'data://a', name: 'A', text: 'a' })
+
+  handle.remove()
+  handle.enable()
+
+  t.is(mcp.resources.has('data://a'), false)
+})
+
+test('registry - stale handle does not touch a re-registered entry', async (t) => {
+  const mcp = createMCPServer()
+  const oldHandle = mcp.addTool({ name: 'tool', execute: async () => 'old' })
+  mcp.addTool({ name: 'tool', execute: async () => 'new' })
+
+  oldHandle.disable()
+  oldHandle.remove()
+
+  t.is(oldHandle.enabled, false)
+  t.is((await mcp.handleRequest('tools/call', { name: 'tool' })).content[0].text, 'new')
+})
+
+test('registry - addTools and addResources return handles', async (t) => {
+  const mcp = createMCPServer()
+  const tools = mcp.addTools([
+    { name: 'a', execute: async () => '' },
+    { name: 'b', execute: async () => '' }
+  ])
+  const resources = mcp.addResources([{ uri: 'data://a', name: 'A', text: 'a' }])
+
+  t.is(tools.length, 2)
+  t.is(resources.length, 1)
+  tools[1].disable()
+  t.alike([...mcp.tools.keys()], ['a'])
+})
+
+test('registry - changes send one debounced list_changed per list', async (t) => {
+  const mcp = createMCPServer()
+  const received = collectNotifications(mcp)
+
+  const a = mcp.addTool({ name: 'a', execute: async () => '' })
+  mcp.addTool({ name: 'b', execute: async () => '' })
+  mcp.addTool({ name: 'b', execute: async () => 'replaced' })
+  a.disable()
+  mcp.addResource({ uri: 'data://a', name: 'A', text: 'a' })
+  mcp.removeResource('data://a')
+
+  t.is(received.length, 0)
+  await settle()
+
+  t.alike(received.sort(), ['notifications/resources/list_changed', 'notifications/tools/list_changed'])
+
+  a.enable()
+  await settle()
+  t.is(received.filter(m => m === 'notifications/tools/list_changed').length, 2)
+})
+
+test('registry - registering new entries does not notify', async (t) => {
+  const mcp = createMCPServer()
+  const received = collectNotifications(mcp)
+
+  mcp.addTools([
+    { name: 'a', execute: async () => '' },
+    { name: 'b', execute: async () => '' }
+  ])
+  mcp.addResource({ uri: 'data://a', name: 'A', text: 'a' })
+  mcp.addResourceTemplate({ uriTemplate: 'data://{id}', name: 'Data', read: async () => '' })
+  await settle()
+
+  t.is(received.length, 0)
+})
+
+test('registry - no-op changes do not notify', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'a', execute: async () => '' })
+  await settle()
+  const received = collectNotifications(mcp)
+
+  mcp.removeTool('missing')
+  mcp.removeResource('data://missing')
+  await settle()
+
+  t.is(received.length, 0)
+})
+
+test('registry - listChangedDebounce option', async (t) => {
+  const mcp = createMCPServer({ listChangedDebounce: 0 })
+  const received = collectNotifications(mcp)
+
+  mcp.addTool({ name: 'a', execute: async () => '' }).disable()
+  await settle(5)
+
+  t.alike(received, ['notifications/tools/list_changed'])
+})
@@ -13,6 +13,47 @@ test('handleRequest - initialize returns server info', async (t) => {
   t.ok(result.capabilities.resources)
 })
 
+test('handleRequest - initialize stores client info and capabilities on session', async (t) => {
+  const mcp = createMCPServer()
+
+  await mcp.handleRequest('initialize', {
+    protocolVersion: '2025-11-25',
+    clientInfo: { name: 'claude-desktop', version: '1.0.0' },
+    capabilities: { sampling: {}, roots: { listChanged: true } },
+    _subscriberId: 'client-1'
+  })
+
+  const session = mcp.getSession('client-1')
+  t.is(session.clientInfo.name, 'claude-desktop')
+  t.is(session.clientInfo.version, '1.0.0')
+  t.ok(session.clientCapabilities.sampling)
+  t.ok(session.clientCapabilities.roots.listChanged)
+})
+
+test('handleRequest - tools/call gives execute the calling session', async (t) => {
+  const mcp = createMCPServer()
+  let received = null
+
+  mcp.addTool({
+    name: 'whoami',
+    execute: async (args, ctx) => {
+      received = ctx
+      return ctx.clientInfo.name
+    }
+  })
+
+  await mcp.handleRequest('initialize', {
+    clientInfo: { name: 'cursor', version: '2.0.0' },
+    capabilities: { elicitation: {} },
+    _subscriberId: 'client-7'
+  })
+  const result = await mcp.handleRequest('tools/call', { name: 'whoami', _subscriberId: 'client-7' })
+
+  t.is(result.content[0].text, 'cursor')
+  t.is(received.sessionId, 'client-7')
+  t.ok(received.session.clientCapabilities.elicitation)
+})
+
 test('handleRequest - tools/list returns registered tools', async (t) => {
   const mcp = createMCPServer()
 
@@ -333,6 +374,71 @@ test('resources/read - dynamic resource returns annotations', async (t) => {
   t.ok(result.contents[0].annotations.lastModified)
 })
 
+test('resources/read - read() can return multiple content items', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResource({
+    uri: 'bundle://site',
+    name: 'Site Bundle',
+    mimeType: 'text/plain',
+    annotations: { priority: 0.5 },
+    read: async () => [
+      { uri: 'bundle://site/index.html', mimeType: 'text/html', text: '<h1>Hi</h1>' },
+      { uri: 'bundle://site/logo.png', mimeType: 'image/png', blob: new Uint8Array([1, 2, 3]) },
+      { text: 'notes', annotations: { priority: 1 } }
+    ]
+  })
+
+  const result = await mcp.handleRequest('resources/read', { uri: 'bundle://site' })
+
+  t.is(result.contents.length, 3)
+  t.alike(result.contents[0], {
+    uri: 'bundle://site/index.html',
+    mimeType: 'text/html',
+    text: '<h1>Hi</h1>',
+    annotations: { priority: 0.5 }
+  })
+  t.is(result.contents[1].uri, 'bundle://site/logo.png')
+  t.is(result.contents[1].blob, 'AQID')
+  t.is(result.contents[2].uri, 'bundle://site') // falls back to the requested URI
+  t.is(result.contents[2].mimeType, 'text/plain')
+  t.is(result.contents[2].annotations.priority, 1)
+})
+
+test('resources/read - template read() can return multiple content items', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResourceTemplate({
+    uriTemplate: 'dir://{name}',
+    name: 'Directory',
+    read: async ({ name }) => [
+      { uri: `dir://${name}/a.txt`, text: 'a' },
+      { uri: `dir://${name}/b.txt`, text: 'b' }
+    ]
+  })
+
+  const contents = await mcp.readResource('dir://docs')
+
+  t.is(contents.length, 2)
+  t.is(contents[0].uri, 'dir://docs/a.txt')
+  t.is(contents[1].text, 'b')
+})
+
+test('resources/read - arrays of plain data stay one JSON body', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addResource({ uri: 'data://rows', name: 'Rows', read: async () => [{ id: 1 }, { id: 2 }] })
+  mcp.addResource({ uri: 'data://tags', name: 'Tags', read: async () => ['a', 'b'] })
+  mcp.addResource({ uri: 'data://empty', name: 'Empty', read: async () => [] })
+
+  const rows = await mcp.handleRequest('resources/read', { uri: 'data://rows' })
+  t.is(rows.contents.length, 1)
+  t.is(rows.contents[0].text, '[{"id":1},{"id":2}]')
+
+  t.is((await mcp.readResource('data://tags')).text, '["a","b"]')
+  t.is((await mcp.readResource('data://empty')).text, '[]')
+})
+
 test('resources/templates/list - includes template annotations', async (t) => {
   const mcp = createMCPServer()
 
@@ -0,0 +1,103 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+// Simulated client that answers roots/list with the current roots array
+function connect(mcp, client) {
+  const sent = []
+  mcp.setRequestCallback((message, sessionId) => {
+    sent.push({ message, sessionId })
+    queueMicrotask(() => mcp.handleResponse({ jsonrpc: '2.0', id: message.id, result: { roots: client.roots } }, sessionId))
+  })
+  return sent
+}
+
+// Let background roots/list requests settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 10))
+
+test('roots - fetched after notifications/initialized', async (t) => {
+  const mcp = createMCPServer()
+  const client = { roots: [{ uri: 'file:///home/user/project', name: 'Project' }] }
+  const sent = connect(mcp, client)
+
+  await mcp.handleRequest('initialize', { capabilities: { roots: { listChanged: true } }, _subscriberId: 'client-1' })
+  await mcp.handleRequest('notifications/initialized', { _subscriberId: 'client-1' })
+  await settle()
+
+  t.is(sent.length, 1)
+  t.is(sent[0].message.method, 'roots/list')
+  t.is(sent[0].sessionId, 'client-1')
+  t.is(mcp.getRoots('client-1').length, 1)
+  t.is(mcp.getRoots('client-1')[0].uri, 'file:///home/user/project')
+})
+
+test('roots - re-fetched on notifications/roots/list_changed', async (t) => {
+  const mcp = createMCPServer()
+  const client = { roots: [{ uri: 'file:///a' }] }
+  connect(mcp, client)
+
+  await mcp.handleRequest('initialize', { capabilities: { roots: { listChanged: true } } })
+  await mcp.handleRequest('notifications/initialized', {})
+  await settle()
+  t.is(mcp.getRoots()[0].uri, 'file:///a')
+
+  client.roots = [{ uri: 'file:///a' }, { uri: 'file:///b' }]
+  await mcp.handleRequest('notifications/roots/list_changed', {})
+  await settle()
+
+  t.is(mcp.getRoots().length, 2)
+  t.is(mcp.getRoots()[1].uri, 'file:///b')
+})
+
+test('roots - not requested when client lacks roots capability', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, { roots: [] })
+
+  await mcp.handleRequest('initialize', { capabilities: {} })
+  await mcp.handleRequest('notifications/initialized', {})
+  await settle()
+
+  t.is(sent.length, 0)
+  t.alike(mcp.getRoots(), [])
+})
+
+test('roots - tracked separately per session', async (t) => {
+  const mcp = createMCPServer()
+  mcp.setRequestCallback((message, sessionId) => {
+    queueMicrotask(() => mcp.handleResponse({
+      jsonrpc: '2.0',
+      id: message.id,
+      result: { roots: [{ uri: `file:///${sessionId}` }] }
+    }, sessionId))
+  })
+
+  for (const id of ['client-1', 'client-2']) {
+    await mcp.handleRequest('initialize', { capabilities: { roots: {} }, _subscriberId: id })
+    await mcp.handleRequest('notifications/initialized', { _subscriberId: id })
+  }
+  await settle()
+
+  t.is(mcp.getRoots('client-1')[0].uri, 'file:///client-1')
+  t.is(mcp.getRoots('client-2')[0].uri, 'file:///client-2')
+  t.alike(mcp.getRoots('unknown'), [])
+})
+
+test('refreshRoots - requires roots capability', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.refreshRoots('client-1')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_REQUEST)
+  }
+})
+
+test('roots - client notification callback still fires', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setClientNotificationCallback((method) => received.push(method))
+
+  await mcp.handleRequest('notifications/roots/list_changed', {})
+
+  t.alike(received, ['notifications/roots/list_changed'])
+})
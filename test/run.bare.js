@@ -5,7 +5,28 @@
  * Run with: bare test/run.bare.js
  */
 
+import './batch.test.js'
+import './blob.test.js'
+import './cancellation.test.js'
+import './completions.test.js'
+import './content.test.js'
+import './context.test.js'
 import './core.test.js'
+import './directory.test.js'
+import './elicitation.test.js'
+import './errors.test.js'
+import './logging.test.js'
+import './meta.test.js'
 import './notifications.test.js'
+import './pagination.test.js'
+import './progress.test.js'
+import './prompts.test.js'
+import './registry.test.js'
 import './requests.test.js'
 import './rfc6570.test.js'
+import './roots.test.js'
+import './sampling.test.js'
+import './stdio.test.js'
+import './tasks.test.js'
+import './versions.test.js'
+import './watch.test.js'
@@ -0,0 +1,172 @@
+import test from 'brittle'
+import { createMCPServer, MCPError, ErrorCode } from '../index.js'
+
+// Simulated client: answers server-to-client requests via handleResponse
+function connect(mcp, respond) {
+  const sent = []
+  mcp.setRequestCallback((message, sessionId) => {
+    sent.push({ message, sessionId })
+    if (respond) {
+      Promise.resolve(respond(message)).then(reply => {
+        mcp.handleResponse({ jsonrpc: '2.0', id: message.id, ...reply }, sessionId)
+      })
+    }
+  })
+  return sent
+}
+
+test('request - sends JSON-RPC request and resolves with result', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, () => ({ result: { ok: true } }))
+
+  const result = await mcp.request('custom/ping', { a: 1 }, { sessionId: 'client-1' })
+
+  t.is(result.ok, true)
+  t.is(sent.length, 1)
+  t.is(sent[0].sessionId, 'client-1')
+  t.is(sent[0].message.jsonrpc, '2.0')
+  t.is(sent[0].message.method, 'custom/ping')
+  t.is(sent[0].message.params.a, 1)
+  t.ok(sent[0].message.id !== undefined)
+})
+
+test('request - allocates unique ids', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, () => ({ result: {} }))
+
+  await Promise.all([mcp.request('a'), mcp.request('b'), mcp.request('c')])
+
+  const ids = new Set(sent.map(s => s.message.id))
+  t.is(ids.size, 3)
+})
+
+test('request - rejects with client error as MCPError', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp, () => ({ error: { code: -1, message: 'User rejected sampling request' } }))
+
+  try {
+    await mcp.request('sampling/createMessage', {})
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err instanceof MCPError)
+    t.is(err.code, -1)
+    t.is(err.message, 'User rejected sampling request')
+  }
+})
+
+test('request - times out without response', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp)
+
+  try {
+    await mcp.request('slow/thing', {}, { timeout: 20 })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.REQUEST_TIMEOUT)
+  }
+})
+
+test('request - rejects without a transport', async (t) => {
+  const mcp = createMCPServer()
+
+  try {
+    await mcp.request('anything')
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('Transport'))
+  }
+})
+
+test('request - rejects when transport cannot reach session', async (t) => {
+  const mcp = createMCPServer()
+  mcp.setRequestCallback(() => { throw new Error('No connected client for session x') })
+
+  try {
+    await mcp.request('anything', {}, { sessionId: 'x' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('No connected client'))
+  }
+})
+
+test('handleResponse - ignores requests and notifications', async (t) => {
+  const mcp = createMCPServer()
+
+  t.is(mcp.handleResponse({ jsonrpc: '2.0', id: 1, method: 'ping' }), false)
+  t.is(mcp.handleResponse({ jsonrpc: '2.0', method: 'notifications/initialized' }), false)
+  t.is(mcp.handleResponse({ jsonrpc: '2.0', id: 999, result: {} }), true) // unknown id still a response
+})
+
+test('handleResponse - another session cannot answer a request', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp)
+
+  const pending = mcp.request('sampling/createMessage', { messages: [] }, { sessionId: 'client-1', timeout: 100 })
+  const { id } = sent[0].message
+
+  const forged = await mcp.handleMessage({ jsonrpc: '2.0', id, result: { content: { type: 'text', text: 'forged' } } }, { sessionId: 'client-2' })
+  t.is(forged, null)
+  t.is(mcp.handleResponse({ jsonrpc: '2.0', id, result: { forged: true } }), true)
+
+  await mcp.handleMessage({ jsonrpc: '2.0', id, result: { ok: true } }, { sessionId: 'client-1' })
+  t.alike(await pending, { ok: true })
+})
+
+test('closeSession - rejects pending requests for that session', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp)
+
+  const pending = mcp.request('slow/thing', {}, { sessionId: 'client-1' })
+  mcp.closeSession('client-1')
+
+  try {
+    await pending
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('closed'))
+  }
+})
+
+test('createMessage - requires sampling capability', async (t) => {
+  const mcp = createMCPServer()
+  connect(mcp, () => ({ result: {} }))
+
+  await mcp.handleRequest('initialize', { capabilities: {} })
+
+  try {
+    await mcp.createMessage({ messages: [], maxTokens: 10 })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.ok(err.message.includes('sampling'))
+  }
+})
+
+test('tools/call - execute can sample from the calling client', async (t) => {
+  const mcp = createMCPServer()
+  const sent = connect(mcp, (message) => ({
+    result: {
+      role: 'assistant',
+      content: { type: 'text', text: `echo: ${message.params.messages[0].content.text}` },
+      model: 'test-model'
+    }
+  }))
+
+  mcp.addTool({
+    name: 'summarize',
+    execute: async (args, ctx) => {
+      const reply = await ctx.createMessage({
+        messages: [{ role: 'user', content: { type: 'text', text: 'hello' } }],
+        maxTokens: 50
+      })
+      return reply.content.text
+    }
+  })
+
+  await mcp.handleRequest('initialize', { capabilities: { sampling: {} }, _subscriberId: 'client-1' })
+  const result = await mcp.handleRequest('tools/call', { name: 'summarize', _subscriberId: 'client-1' })
+
+  t.is(result.content[0].text, 'echo: hello')
+  t.is(sent[0].sessionId, 'client-1')
+  t.is(sent[0].message.method, 'sampling/createMessage')
+  t.is(sent[0].message.params.maxTokens, 50)
+})
@@ -0,0 +1,82 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+import { createStdioTransport } from '../lib/stdio-bare.js'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Open a transport on in-memory stdin/stdout streams
+async function openTransport(t, mcp) {
+  const listeners = {}
+  const stdin = {
+    on(event, fn) { listeners[event] = fn },
+    removeListener(event) { delete listeners[event] }
+  }
+  const output = []
+  const stdout = { write(data) { output.push(...data.trim().split('\n').map(line => JSON.parse(line))) } }
+
+  const error = console.error
+  console.error = () => {}
+
+  const transport = await createStdioTransport(mcp, { stdin, stdout })
+  t.teardown(() => {
+    transport.close()
+    console.error = error
+  })
+
+  return {
+    output,
+    send(message) { listeners.data(JSON.stringify(message) + '\n') }
+  }
+}
+
+function addSlowTool(mcp, state) {
+  mcp.addTool({
+    name: 'slow',
+    taskSupport: 'optional',
+    execute: async (args, ctx) => {
+      state.signal = ctx.signal
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, 200)
+        ctx.signal.addEventListener('abort', () => { clearTimeout(timer); resolve() })
+      })
+      return 'finished'
+    }
+  })
+}
+
+test('stdio-bare - notifications/cancelled aborts a running request', async (t) => {
+  const mcp = createMCPServer()
+  const state = {}
+  addSlowTool(mcp, state)
+  const { output, send } = await openTransport(t, mcp)
+
+  send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'slow' } })
+  await wait(10)
+  send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 1 } })
+  await wait(10)
+
+  t.is(state.signal.aborted, true)
+  await wait(250)
+  t.is(output.length, 0, 'cancelled request gets no response')
+})
+
+test('stdio-bare - a pending tasks/result does not block other requests', async (t) => {
+  const mcp = createMCPServer()
+  const state = {}
+  addSlowTool(mcp, state)
+  const { output, send } = await openTransport(t, mcp)
+
+  send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'slow', task: {} } })
+  await wait(10)
+  const { taskId } = output.find(m => m.id === 1).result.task
+
+  send({ jsonrpc: '2.0', id: 2, method: 'tasks/result', params: { taskId } })
+  send({ jsonrpc: '2.0', id: 3, method: 'tasks/get', params: { taskId } })
+  await wait(10)
+
+  t.absent(output.some(m => m.id === 2))
+  t.is(output.find(m => m.id === 3).result.status, 'working')
+
+  await wait(250)
+  t.is(output.find(m => m.id === 2).result.content[0].text, 'finished')
+})
@@ -0,0 +1,311 @@
+import test from 'brittle'
+import { createMCPServer, ErrorCode } from '../index.js'
+
+function deferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej })
+  return { promise, resolve, reject }
+}
+
+function addBuildTool(mcp, gate, extra = {}) {
+  mcp.addTool({
+    name: 'build',
+    taskSupport: 'optional',
+    execute: async ({ target }) => {
+      await gate.promise
+      return `built ${target}`
+    },
+    ...extra
+  })
+}
+
+test('tasks - tools/call with task returns a working task right away', async (t) => {
+  const mcp = createMCPServer({ taskPollInterval: 500 })
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  const result = await mcp.handleRequest('tools/call', { name: 'build', arguments: { target: 'app' }, task: { ttl: 60000 } })
+
+  t.ok(result.task.taskId)
+  t.is(result.task.status, 'working')
+  t.is(result.task.ttl, 60000)
+  t.is(result.task.pollInterval, 500)
+  t.ok(result.task.createdAt)
+  t.is(result.task.lastUpdatedAt, result.task.createdAt)
+  t.absent(result.content)
+
+  gate.resolve()
+})
+
+test('tasks - tasks/get and tasks/result after completion', async (t) => {
+  const mcp = createMCPServer()
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'build', arguments: { target: 'app' }, task: {} })
+  const pending = mcp.handleRequest('tasks/result', { taskId: task.taskId })
+
+  t.is((await mcp.handleRequest('tasks/get', { taskId: task.taskId })).status, 'working')
+
+  gate.resolve()
+  const result = await pending
+
+  t.alike(result.content, [{ type: 'text', text: 'built app' }])
+  t.alike(result._meta['io.modelcontextprotocol/related-task'], { taskId: task.taskId })
+  t.is((await mcp.handleRequest('tasks/get', { taskId: task.taskId })).status, 'completed')
+})
+
+test('tasks - failed execution surfaces the original error from tasks/result', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'crash',
+    taskSupport: 'optional',
+    execute: async () => { throw new Error('Out of memory') }
+  })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'crash', task: {} })
+
+  try {
+    await mcp.handleRequest('tasks/result', { taskId: task.taskId })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INTERNAL_ERROR)
+    t.is(err.message, 'Out of memory')
+  }
+
+  const status = await mcp.handleRequest('tasks/get', { taskId: task.taskId })
+  t.is(status.status, 'failed')
+  t.is(status.statusMessage, 'Out of memory')
+})
+
+test('tasks - isError results mark the task failed', async (t) => {
+  const mcp = createMCPServer({ toolErrorsAsResults: true })
+  mcp.addTool({
+    name: 'crash',
+    taskSupport: 'optional',
+    execute: async () => { throw new Error('Out of memory') }
+  })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'crash', task: {} })
+  const result = await mcp.handleRequest('tasks/result', { taskId: task.taskId })
+
+  t.is(result.isError, true)
+  t.is((await mcp.handleRequest('tasks/get', { taskId: task.taskId })).status, 'failed')
+})
+
+test('tasks - status notifications go to the owning session', async (t) => {
+  const mcp = createMCPServer()
+  const received = []
+  mcp.setNotificationCallback((method, params, targets) => received.push({ method, params, targets }))
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  const { task } = await mcp.handleRequest('tools/call', {
+    name: 'build', arguments: { target: 'app' }, task: {}, _subscriberId: 'client-1'
+  })
+  gate.resolve()
+  await mcp.handleRequest('tasks/result', { taskId: task.taskId, _subscriberId: 'client-1' })
+
+  const statuses = received.filter(n => n.method === 'notifications/tasks/status')
+  t.is(statuses.length, 1)
+  t.is(statuses[0].params.taskId, task.taskId)
+  t.is(statuses[0].params.status, 'completed')
+  t.ok(statuses[0].targets.has('client-1'))
+})
+
+test('tasks - tasks/cancel aborts the handler', async (t) => {
+  const mcp = createMCPServer()
+  let signal = null
+  mcp.addTool({
+    name: 'crawl',
+    taskSupport: 'optional',
+    execute: (args, ctx) => new Promise((resolve, reject) => {
+      signal = ctx.signal
+      ctx.signal.addEventListener('abort', () => reject(new Error('stopped')))
+    })
+  })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'crawl', task: {} })
+  const cancelled = await mcp.handleRequest('tasks/cancel', { taskId: task.taskId })
+
+  t.is(cancelled.status, 'cancelled')
+  t.is(signal.aborted, true)
+  await t.exception(() => mcp.handleRequest('tasks/result', { taskId: task.taskId }), /Task cancelled/)
+
+  // Cancelled stays cancelled even though the handler rejected afterwards
+  await new Promise(resolve => setTimeout(resolve, 0))
+  t.is((await mcp.handleRequest('tasks/get', { taskId: task.taskId })).status, 'cancelled')
+
+  await t.exception(
+    () => mcp.handleRequest('tasks/cancel', { taskId: task.taskId }),
+    /Cannot cancel task in cancelled status/
+  )
+})
+
+test('tasks - tasks are scoped to their session', async (t) => {
+  const mcp = createMCPServer()
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  const { task } = await mcp.handleRequest('tools/call', {
+    name: 'build', arguments: { target: 'a' }, task: {}, _subscriberId: 'client-1'
+  })
+  await mcp.handleRequest('tools/call', { name: 'build', arguments: { target: 'b' }, task: {}, _subscriberId: 'client-1' })
+
+  const mine = await mcp.handleRequest('tasks/list', { _subscriberId: 'client-1' })
+  const theirs = await mcp.handleRequest('tasks/list', { _subscriberId: 'client-2' })
+
+  t.is(mine.tasks.length, 2)
+  t.is(mine.tasks[0].taskId, task.taskId)
+  t.is(theirs.tasks.length, 0)
+
+  try {
+    await mcp.handleRequest('tasks/get', { taskId: task.taskId, _subscriberId: 'client-2' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INVALID_PARAMS)
+    t.ok(err.message.includes('Task not found'))
+  }
+
+  gate.resolve()
+})
+
+test('tasks - a sessionless message cannot claim another session', async (t) => {
+  const mcp = createMCPServer()
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  const { result } = await mcp.handleMessage(
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'build', arguments: { target: 'a' }, task: {} } },
+    { sessionId: 'client-1' }
+  )
+  const response = await mcp.handleMessage({
+    jsonrpc: '2.0', id: 2, method: 'tasks/cancel', params: { taskId: result.task.taskId, _subscriberId: 'client-1' }
+  })
+
+  t.is(response.error.code, ErrorCode.INVALID_PARAMS)
+  const task = await mcp.handleRequest('tasks/get', { taskId: result.task.taskId, _subscriberId: 'client-1' })
+  t.is(task.status, 'working')
+
+  gate.resolve()
+})
+
+test('tasks - tasks/list paginates', async (t) => {
+  const mcp = createMCPServer({ pageSize: 2 })
+  const gate = deferred()
+  addBuildTool(mcp, gate)
+
+  for (let i = 0; i < 3; i++) {
+    await mcp.handleRequest('tools/call', { name: 'build', arguments: { target: `t${i}` }, task: {} })
+  }
+
+  const first = await mcp.handleRequest('tasks/list', {})
+  const second = await mcp.handleRequest('tasks/list', { cursor: first.nextCursor })
+
+  t.is(first.tasks.length, 2)
+  t.ok(first.nextCursor)
+  t.is(second.tasks.length, 1)
+  t.absent(second.nextCursor)
+
+  gate.resolve()
+})
+
+test('tasks - finished tasks expire after their ttl', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'quick', taskSupport: 'optional', execute: async () => 'done' })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'quick', task: { ttl: 20 } })
+  await mcp.handleRequest('tasks/result', { taskId: task.taskId })
+  t.is((await mcp.handleRequest('tasks/get', { taskId: task.taskId })).status, 'completed')
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  await t.exception(() => mcp.handleRequest('tasks/get', { taskId: task.taskId }), /Task not found/)
+})
+
+test('tasks - client ttl is capped by the taskTtl option', async (t) => {
+  const mcp = createMCPServer({ taskTtl: 1000 })
+  mcp.addTool({ name: 'quick', taskSupport: 'optional', execute: async () => 'done' })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'quick', task: { ttl: 999999 } })
+  t.is(task.ttl, 1000)
+})
+
+test('tasks - taskSupport forbidden ignores task metadata, required demands it', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'plain', execute: async () => 'now' })
+  mcp.addTool({ name: 'slow', taskSupport: 'required', execute: async () => 'later' })
+
+  const plain = await mcp.handleRequest('tools/call', { name: 'plain', task: {} })
+  t.is(plain.content[0].text, 'now')
+
+  try {
+    await mcp.handleRequest('tools/call', { name: 'slow' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.METHOD_NOT_FOUND)
+  }
+
+  t.exception(() => mcp.addTool({ name: 'bad', taskSupport: 'sometimes', execute: async () => '' }))
+})
+
+test('tasks - elicitation inside a task reports input_required', async (t) => {
+  const mcp = createMCPServer()
+  const statuses = []
+  mcp.setNotificationCallback((method, params) => {
+    if (method === 'notifications/tasks/status') statuses.push(params.status)
+  })
+  mcp.setRequestCallback((message, sessionId) => {
+    setTimeout(() => mcp.handleResponse({ jsonrpc: '2.0', id: message.id, result: { action: 'accept', content: {} } }, sessionId), 0)
+  })
+  mcp.addTool({
+    name: 'deploy',
+    taskSupport: 'optional',
+    execute: async (args, ctx) => {
+      const answer = await ctx.elicit({ message: 'Proceed?', requestedSchema: { type: 'object', properties: {} } })
+      return answer.action
+    }
+  })
+
+  await mcp.handleRequest('initialize', { capabilities: { elicitation: {} } })
+  const { task } = await mcp.handleRequest('tools/call', { name: 'deploy', task: {} })
+  const result = await mcp.handleRequest('tasks/result', { taskId: task.taskId })
+
+  t.is(result.content[0].text, 'accept')
+  t.alike(statuses, ['input_required', 'working', 'completed'])
+})
+
+test('tasks - capability and execution.taskSupport are advertised to 2025-11-25 clients only', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({ name: 'build', taskSupport: 'optional', execute: async () => '' })
+  mcp.addTool({ name: 'plain', execute: async () => '' })
+
+  const current = await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'new' })
+  const older = await mcp.handleRequest('initialize', { protocolVersion: '2025-06-18', _subscriberId: 'old' })
+
+  t.ok(current.capabilities.tasks.requests.tools.call)
+  t.absent(older.capabilities.tasks)
+
+  const newList = await mcp.handleRequest('tools/list', { _subscriberId: 'new' })
+  const oldList = await mcp.handleRequest('tools/list', { _subscriberId: 'old' })
+
+  t.alike(newList.tools[0].execution, { taskSupport: 'optional' })
+  t.absent(newList.tools[1].execution)
+  t.absent(oldList.tools[0].execution)
+})
+
+test('tasks - closing the session cancels its tasks', async (t) => {
+  const mcp = createMCPServer()
+  let signal = null
+  mcp.addTool({
+    name: 'crawl',
+    taskSupport: 'optional',
+    execute: (args, ctx) => { signal = ctx.signal; return new Promise(() => {}) }
+  })
+
+  const { task } = await mcp.handleRequest('tools/call', { name: 'crawl', task: {}, _subscriberId: 'client-1' })
+  mcp.closeSession('client-1')
+
+  t.is(signal.aborted, true)
+  await t.exception(() => mcp.handleRequest('tasks/get', { taskId: task.taskId, _subscriberId: 'client-1' }), /Task not found/)
+})
@@ -497,3 +497,86 @@ test('integration - tool with outputSchema but no structuredContent skips valida
   const result = await mcp.handleRequest('tools/call', { name: 'text-only' })
   t.is(result.content[0].text, 'no structured data')
 })
+
+test('integration - plain object result becomes structuredContent', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addTool({
+    name: 'lookup',
+    outputSchema: {
+      type: 'object',
+      properties: { id: { type: 'string' }, score: { type: 'number' } },
+      required: ['id']
+    },
+    execute: async () => ({ id: 'abc123', score: 0.5 })
+  })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'lookup' })
+  t.alike(result.structuredContent, { id: 'abc123', score: 0.5 })
+  t.alike(result.content, [{ type: 'text', text: '{"id":"abc123","score":0.5}' }])
+})
+
+test('integration - plain object result is validated against outputSchema', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addTool({
+    name: 'lookup',
+    outputSchema: {
+      type: 'object',
+      properties: { id: { type: 'string' } },
+      required: ['id']
+    },
+    execute: async () => ({ id: 42 })
+  })
+
+  try {
+    await mcp.handleRequest('tools/call', { name: 'lookup' })
+    t.fail('Should have thrown')
+  } catch (err) {
+    t.is(err.code, ErrorCode.INTERNAL_ERROR)
+    t.ok(err.message.includes('id: must be string'))
+  }
+})
+
+test('integration - plain object result without outputSchema stays text only', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addTool({ name: 'raw', execute: async () => ({ id: 'abc123' }) })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'raw' })
+  t.absent(result.structuredContent)
+  t.is(result.content[0].text, '{"id":"abc123"}')
+})
+
+test('integration - plain object with a content field is still data', async (t) => {
+  const mcp = createMCPServer()
+
+  mcp.addTool({
+    name: 'post',
+    outputSchema: {
+      type: 'object',
+      properties: { content: { type: 'string' }, author: { type: 'string' } },
+      required: ['content']
+    },
+    execute: async () => ({ content: 'hello', author: 'me' })
+  })
+  mcp.addTool({
+    name: 'thread',
+    outputSchema: {
+      type: 'object',
+      properties: { content: { type: 'array' }, total: { type: 'number' } }
+    },
+    execute: async () => ({ content: [{ type: 'text', text: 'hi' }], total: 1 })
+  })
+  mcp.addTool({ name: 'raw', execute: async () => ({ content: 'hello' }) })
+
+  const post = await mcp.handleRequest('tools/call', { name: 'post' })
+  t.alike(post.structuredContent, { content: 'hello', author: 'me' })
+  t.is(post.content[0].text, '{"content":"hello","author":"me"}')
+
+  const thread = await mcp.handleRequest('tools/call', { name: 'thread' })
+  t.is(thread.structuredContent.total, 1)
+
+  const raw = await mcp.handleRequest('tools/call', { name: 'raw' })
+  t.is(raw.content[0].text, '{"content":"hello"}')
+})
@@ -0,0 +1,186 @@
+import test from 'brittle'
+import { createMCPServer, SUPPORTED_PROTOCOL_VERSIONS } from '../index.js'
+
+function addWeatherTool(mcp) {
+  mcp.addTool({
+    name: 'weather',
+    outputSchema: {
+      type: 'object',
+      properties: { temp: { type: 'number' } },
+      required: ['temp']
+    },
+    execute: async () => ({
+      content: [{ type: 'text', text: '21' }],
+      structuredContent: { temp: 21 }
+    })
+  })
+}
+
+test('SUPPORTED_PROTOCOL_VERSIONS - newest first', async (t) => {
+  t.is(SUPPORTED_PROTOCOL_VERSIONS[0], '2025-11-25')
+  t.ok(SUPPORTED_PROTOCOL_VERSIONS.includes('2024-11-05'))
+})
+
+test('initialize - uses client version when supported', async (t) => {
+  const mcp = createMCPServer()
+
+  const result = await mcp.handleRequest('initialize', { protocolVersion: '2025-03-26', _subscriberId: 'client-1' })
+
+  t.is(result.protocolVersion, '2025-03-26')
+  t.is(mcp.getSession('client-1').protocolVersion, '2025-03-26')
+})
+
+test('initialize - falls back to newest for unsupported version', async (t) => {
+  const mcp = createMCPServer()
+
+  const result = await mcp.handleRequest('initialize', { protocolVersion: '1999-01-01' })
+
+  t.is(result.protocolVersion, '2025-11-25')
+})
+
+test('initialize - respects supportedProtocolVersions option', async (t) => {
+  const mcp = createMCPServer({
+    protocolVersion: '2025-06-18',
+    supportedProtocolVersions: ['2025-06-18', '2025-03-26']
+  })
+
+  const older = await mcp.handleRequest('initialize', { protocolVersion: '2025-03-26', _subscriberId: 'a' })
+  const unsupported = await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'b' })
+
+  t.is(older.protocolVersion, '2025-03-26')
+  t.is(unsupported.protocolVersion, '2025-06-18')
+})
+
+test('initialize - version is stored per session', async (t) => {
+  const mcp = createMCPServer()
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'old' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'new' })
+
+  t.is(mcp.getSession('old').protocolVersion, '2024-11-05')
+  t.is(mcp.getSession('new').protocolVersion, '2025-11-25')
+  t.is(mcp.supportsVersion('old', '2025-06-18'), false)
+  t.is(mcp.supportsVersion('new', '2025-06-18'), true)
+})
+
+test('tools/list - omits outputSchema for 2024-11-05 clients', async (t) => {
+  const mcp = createMCPServer()
+  addWeatherTool(mcp)
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'old' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-06-18', _subscriberId: 'new' })
+
+  const oldList = await mcp.handleRequest('tools/list', { _subscriberId: 'old' })
+  const newList = await mcp.handleRequest('tools/list', { _subscriberId: 'new' })
+
+  t.absent(oldList.tools[0].outputSchema)
+  t.ok(newList.tools[0].outputSchema)
+})
+
+test('tools/call - omits structuredContent for 2024-11-05 clients', async (t) => {
+  const mcp = createMCPServer()
+  addWeatherTool(mcp)
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'old' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'new' })
+
+  const oldResult = await mcp.handleRequest('tools/call', { name: 'weather', _subscriberId: 'old' })
+  const newResult = await mcp.handleRequest('tools/call', { name: 'weather', _subscriberId: 'new' })
+
+  t.absent(oldResult.structuredContent)
+  t.is(oldResult.content[0].text, '21')
+  t.is(newResult.structuredContent.temp, 21)
+})
+
+test('tools/call - plain object result is text only for 2024-11-05 clients', async (t) => {
+  const mcp = createMCPServer()
+  mcp.addTool({
+    name: 'weather',
+    outputSchema: { type: 'object', properties: { temp: { type: 'number' } } },
+    execute: async () => ({ temp: 21 })
+  })
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'old' })
+
+  const result = await mcp.handleRequest('tools/call', { name: 'weather', _subscriberId: 'old' })
+
+  t.absent(result.structuredContent)
+  t.is(result.content[0].text, '{"temp":21}')
+})
+
+test('initialize - returns server metadata gated by version', async (t) => {
+  const mcp = createMCPServer({
+    name: 'docs',
+    version: '2.0.0',
+    title: 'Docs Server',
+    instructions: 'Search before reading.',
+    icons: [{ src: 'https://example.com/icon.png', mimeType: 'image/png', sizes: ['48x48'] }],
+    websiteUrl: 'https://example.com'
+  })
+
+  const latest = await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'a' })
+  t.alike(latest.serverInfo, {
+    name: 'docs',
+    title: 'Docs Server',
+    icons: [{ src: 'https://example.com/icon.png', mimeType: 'image/png', sizes: ['48x48'] }],
+    version: '2.0.0',
+    websiteUrl: 'https://example.com'
+  })
+  t.is(latest.instructions, 'Search before reading.')
+
+  const june = await mcp.handleRequest('initialize', { protocolVersion: '2025-06-18', _subscriberId: 'b' })
+  t.alike(june.serverInfo, { name: 'docs', title: 'Docs Server', version: '2.0.0' })
+  t.is(june.instructions, 'Search before reading.')
+
+  const march = await mcp.handleRequest('initialize', { protocolVersion: '2025-03-26', _subscriberId: 'c' })
+  t.alike(march.serverInfo, { name: 'docs', version: '2.0.0' })
+  t.is(march.instructions, 'Search before reading.')
+
+  const oldest = await mcp.handleRequest('initialize', { protocolVersion: '2024-11-05', _subscriberId: 'd' })
+  t.alike(oldest.serverInfo, { name: 'docs', version: '2.0.0' })
+  t.is(oldest.instructions, 'Search before reading.')
+})
+
+test('list methods - title and icons gated by version', async (t) => {
+  const mcp = createMCPServer()
+  const icons = [{ src: 'data:image/svg+xml;base64,PHN2Zy8+', mimeType: 'image/svg+xml' }]
+  mcp.addTool({ name: 'search', title: 'Search', icons, execute: async () => '' })
+  mcp.addResource({ uri: 'doc://a', name: 'a', title: 'Doc A', icons, text: 'a' })
+  mcp.addResourceTemplate({ uriTemplate: 'doc://{id}', name: 'doc', title: 'Document', icons, read: async () => '' })
+
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-11-25', _subscriberId: 'new' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-06-18', _subscriberId: 'mid' })
+  await mcp.handleRequest('initialize', { protocolVersion: '2025-03-26', _subscriberId: 'old' })
+
+  const lists = async (sessionId) => ({
+    tool: (await mcp.handleRequest('tools/list', { _subscriberId: sessionId })).tools[0],
+    resource: (await mcp.handleRequest('resources/list', { _subscriberId: sessionId })).resources[0],
+    template: (await mcp.handleRequest('resources/templates/list', { _subscriberId: sessionId })).resourceTemplates[0]
+  })
+
+  const latest = await lists('new')
+  t.is(latest.tool.title, 'Search')
+  t.alike(latest.tool.icons, icons)
+  t.alike(latest.resource.icons, icons)
+  t.alike(latest.template.icons, icons)
+
+  const mid = await lists('mid')
+  t.is(mid.tool.title, 'Search')
+  t.is(mid.resource.title, 'Doc A')
+  t.absent(mid.tool.icons)
+  t.absent(mid.template.icons)
+
+  const old = await lists('old')
+  t.absent(old.tool.title)
+  t.absent(old.resource.title)
+  t.absent(old.template.title)
+  t.absent(old.resource.icons)
+})
+
+test('icons - malformed icons are rejected', async (t) => {
+  t.exception(() => createMCPServer({ icons: 'icon.png' }), /Server icons/)
+
+  const mcp = createMCPServer()
+  t.exception(() => mcp.addTool({ name: 'x', icons: [{ url: 'a.png' }], execute: async () => '' }), /Tool icons/)
+  t.exception(() => mcp.addResource({ uri: 'a://b', name: 'b', text: 'b', icons: {} }), /Resource icons/)
+})
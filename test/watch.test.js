@@ -0,0 +1,150 @@
+import test from 'brittle'
+import { createMCPServer } from '../index.js'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function collectUpdates(mcp) {
+  const updates = []
+  mcp.setNotificationCallback((method, params, targets) => {
+    if (method === 'notifications/resources/updated') updates.push({ uri: params.uri, targets })
+  })
+  return updates
+}
+
+test('watch - polls only while subscribed and notifies on change', async (t) => {
+  const mcp = createMCPServer()
+  const updates = collectUpdates(mcp)
+  let value = 'v1'
+  let reads = 0
+  mcp.addResource({
+    uri: 'stats://live',
+    name: 'Live',
+    watch: 10,
+    read: async () => { reads++; return value }
+  })
+
+  await wait(60)
+  t.is(reads, 0, 'no polling without subscribers')
+
+  mcp.subscribe('stats://live', 'client-1')
+  await wait(60)
+  t.ok(reads > 1, 'polls once subscribed')
+  t.is(updates.length, 0, 'unchanged content sends nothing')
+  t.is(mcp.sessions.size, 0, 'polling does not create a default session')
+
+  value = 'v2'
+  await wait(60)
+  t.is(updates.length, 1)
+  t.is(updates[0].uri, 'stats://live')
+  t.ok(updates[0].targets.has('client-1'))
+
+  mcp.unsubscribe('stats://live', 'client-1')
+  const readsAfterUnsubscribe = reads
+  await wait(60)
+  t.ok(reads <= readsAfterUnsubscribe + 1, 'polling stops at zero subscribers')
+})
+
+test('watch - event source triggers re-read and hash comparison', async (t) => {
+  const mcp = createMCPServer()
+  const updates = collectUpdates(mcp)
+  let value = 'a'
+  let emit = null
+  let unsubscribed = false
+
+  mcp.addResource({
+    uri: 'config://app',
+    name: 'Config',
+    watch: {
+      subscribe: (onChange) => {
+        emit = onChange
+        return () => { unsubscribed = true }
+      }
+    },
+    read: async () => value
+  })
+
+  t.is(emit, null, 'source not attached without subscribers')
+
+  mcp.subscribe('config://app', 'client-1')
+  t.is(typeof emit, 'function')
+  await wait(5)
+
+  emit() // Spurious event: content is the same
+  await wait(5)
+  t.is(updates.length, 0)
+
+  value = 'b'
+  emit()
+  await wait(5)
+  t.is(updates.length, 1)
+
+  mcp.closeSession('client-1')
+  t.is(unsubscribed, true)
+})
+
+test('watch - template and prefix subscriptions start watchers', async (t) => {
+  const mcp = createMCPServer()
+  let attached = 0
+  mcp.addResource({
+    uri: 'file:///project/a.txt',
+    name: 'a.txt',
+    watch: { subscribe: () => { attached++; return () => { attached-- } } },
+    read: async () => 'a'
+  })
+
+  mcp.subscribe('file:///project/', 'client-1', { prefix: true })
+  t.is(attached, 1)
+
+  mcp.unsubscribe('file:///project/', 'client-1', { prefix: true })
+  t.is(attached, 0)
+})
+
+test('watch - removing the resource stops its watcher', async (t) => {
+  const mcp = createMCPServer()
+  let attached = 0
+  mcp.addResource({
+    uri: 'data://x',
+    name: 'x',
+    watch: { subscribe: () => { attached++; return () => { attached-- } } },
+    read: async () => 'x'
+  })
+
+  mcp.subscribe('data://x', 'client-1')
+  t.is(attached, 1)
+
+  mcp.removeResource('data://x')
+  t.is(attached, 0)
+})
+
+test('watch - read errors are not reported as changes', async (t) => {
+  const mcp = createMCPServer()
+  const updates = collectUpdates(mcp)
+  let fail = false
+  let emit
+  mcp.addResource({
+    uri: 'flaky://x',
+    name: 'flaky',
+    watch: { subscribe: (onChange) => { emit = onChange } },
+    read: async () => {
+      if (fail) throw new Error('unavailable')
+      return 'same'
+    }
+  })
+
+  mcp.subscribe('flaky://x', 'client-1')
+  await wait(5)
+  fail = true
+  emit()
+  await wait(5)
+  fail = false
+  emit()
+  await wait(5)
+
+  t.is(updates.length, 0)
+})
+
+test('watch - invalid watch option throws', async (t) => {
+  const mcp = createMCPServer()
+  t.exception(() => mcp.addResource({ uri: 'a://b', name: 'b', read: async () => '', watch: 'often' }), /watch/)
+  t.exception(() => mcp.addResource({ uri: 'a://b', name: 'b', read: async () => '', watch: { interval: 0 } }), /watch/)
+})